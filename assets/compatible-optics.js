@@ -0,0 +1,124 @@
+/**
+ * Compatible Optics
+ * Lists the optic models whose ring mount or mag ring variants (in the optic catalog, see optic-catalog.js) include
+ * the selected variant of the product, grouped by brand and filtered by the search field. Each model links to the
+ * System Builder with the optic preselected (brand and model URL parameters, see system-builder.js).
+ */
+class CompatibleOptics extends HTMLElement {
+  connectedCallback() {
+    this.productId = Number(this.dataset.productId);
+    this.variantId = Number(this.dataset.variantId) || null;
+    this.variantIds = (this.dataset.variantIds || '').split(',').map(Number);
+    this.searchInput = this.querySelector('[data-compatible-optics-search]');
+    this.messageEl = this.querySelector('[data-compatible-optics-message]');
+    this.resultsEl = this.querySelector('[data-compatible-optics-results]');
+    this.catalog = null;
+
+    this._removeVariantListener = window.themeHelpers.onVariantChange(this.variantIds, (variant) => {
+      this.variantId = variant.id;
+      this._render();
+    });
+    this.searchInput.addEventListener('input', () => this._render());
+
+    this._load();
+  }
+
+  disconnectedCallback() {
+    this._removeVariantListener();
+  }
+
+  async _load() {
+    try {
+      this.catalog = await window.opticCatalog.load();
+    } catch (error) {
+      console.error('Compatible Optics: Unable to load the optic catalog', error);
+      return;
+    }
+
+    if (!this.isConnected) return;
+
+    // Adapters, accessories... are not listed by any optic model
+    this.hidden = !this.catalog.models.some((model) => (
+      this._getVariants(model).some((variant) => variant.productId === this.productId)
+    ));
+
+    this._render();
+  }
+
+  _render() {
+    if (!this.catalog || this.hidden) return;
+
+    const models = this.catalog.models.filter((model) => (
+      this._getVariants(model).some((variant) => variant.id === this.variantId)
+    ));
+    const terms = this.searchInput.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const brands = this.catalog.brands
+      .map((brand) => ({
+        brand,
+        models: models.filter((model) => {
+          const name = `${brand.name} ${model.name}`.toLowerCase();
+          return model.brandHandle === brand.handle && terms.every((term) => name.includes(term));
+        })
+      }))
+      .filter(({ models: brandModels }) => brandModels.length > 0);
+
+    this.searchInput.hidden = models.length === 0;
+    this.resultsEl.replaceChildren(...brands.map(({ brand, models: brandModels }) => this._createBrand(brand, brandModels)));
+
+    if (models.length === 0) {
+      this._showMessage(window.themeHelpers.t('compatibleOpticsEmpty'));
+    } else if (brands.length === 0) {
+      this._showMessage(window.themeHelpers.t('compatibleOpticsNoMatch', { terms: this.searchInput.value.trim() }));
+    } else {
+      this._showMessage(null);
+    }
+  }
+
+  _createBrand(brand, models) {
+    const item = document.createElement('li');
+    const name = document.createElement('p');
+    const list = document.createElement('ul');
+
+    item.className = 'compatible-optics__brand';
+    name.className = 'compatible-optics__brand-name';
+    name.textContent = brand.name;
+    list.className = 'compatible-optics__models';
+    list.append(...models.map((model) => this._createModel(brand, model)));
+    item.append(name, list);
+
+    return item;
+  }
+
+  _createModel(brand, model) {
+    const item = document.createElement('li');
+    const builderUrl = this.dataset.builderUrl;
+    const label = document.createElement(builderUrl ? 'a' : 'span');
+
+    label.className = 'compatible-optics__model';
+    label.textContent = model.name;
+
+    if (builderUrl) {
+      const url = new URL(builderUrl, window.location.origin);
+      url.searchParams.set('brand', brand.handle);
+      url.searchParams.set('model', model.handle);
+      label.href = `${url.pathname}${url.search}`;
+      label.setAttribute('aria-label', window.themeHelpers.t('compatibleOpticsBuildLink', { name: `${brand.name} ${model.name}` }));
+    }
+
+    item.appendChild(label);
+    return item;
+  }
+
+  _showMessage(text) {
+    this.messageEl.hidden = !text;
+    this.messageEl.textContent = text || '';
+  }
+
+  _getVariants(model) {
+    return [...(model.ringMount || []), ...(model.magRing || [])];
+  }
+}
+
+if (!window.customElements.get('compatible-optics')) {
+  window.customElements.define('compatible-optics', CompatibleOptics);
+}
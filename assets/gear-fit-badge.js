@@ -0,0 +1,116 @@
+/**
+ * Gear Fit Badge
+ * Tells whether a ring mount or mag ring fits the customer's optic (see my-gear.js), from the ring mount and mag
+ * ring variants of the optic models in the optic catalog. Products that no optic model lists (adapters,
+ * accessories...) get no badge.
+ *
+ * On product pages (data-variant-id), the badge follows the selected variant and names the variant to pick
+ * when another one fits.
+ *
+ * The optic catalog is only loaded once a badge is about to scroll into view (and kept for the session, see
+ * optic-catalog.js), so pages with product cards don't fetch it up front.
+ */
+class GearFitBadge extends HTMLElement {
+  connectedCallback() {
+    this.productId = Number(this.dataset.productId);
+    this.variantId = Number(this.dataset.variantId) || null;
+    this.variantIds = (this.dataset.variantIds || '').split(',').map(Number);
+
+    this._onGearChange = () => this._update();
+    this._removeVariantListener = null;
+    this._observer = null;
+
+    document.addEventListener('my-gear:change', this._onGearChange);
+    if (this.variantId) {
+      this._removeVariantListener = window.themeHelpers.onVariantChange(this.variantIds, (variant) => {
+        this.variantId = variant.id;
+        this._update();
+      });
+    }
+
+    this._update();
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('my-gear:change', this._onGearChange);
+    this._removeVariantListener?.();
+    this._observer?.disconnect();
+  }
+
+  _update() {
+    const optic = window.myGear.getOptic();
+    if (!optic) {
+      this._render(null);
+      return;
+    }
+
+    const catalog = window.opticCatalog.get();
+    if (!catalog) {
+      this._observeViewport();
+      return;
+    }
+
+    this._render(this._getFit(catalog, optic));
+  }
+
+  // The badge is hidden until it has a fit, so its container is observed
+  _observeViewport() {
+    if (this._observer || !this.parentElement) return;
+
+    this._observer = new IntersectionObserver(async (entries) => {
+      if (!entries.some((entry) => entry.isIntersecting)) return;
+
+      this._observer.disconnect();
+      this._observer = null;
+
+      try {
+        await window.opticCatalog.load();
+      } catch (error) {
+        this._render(null);
+        return;
+      }
+
+      if (this.isConnected) this._update();
+    }, { rootMargin: '200px 0px' });
+
+    this._observer.observe(this.parentElement);
+  }
+
+  _getFit(catalog, optic) {
+    const getVariants = (model) => [...(model.ringMount || []), ...(model.magRing || [])];
+    const isOpticSpecific = catalog.models.some((model) => (
+      getVariants(model).some((variant) => variant.productId === this.productId)
+    ));
+    const model = catalog.models.find((m) => m.handle === optic.model && m.brandHandle === optic.brand);
+    if (!isOpticSpecific || !model) return null;
+
+    const brand = catalog.brands.find((b) => b.handle === model.brandHandle);
+    const name = [brand?.name, model.name].filter(Boolean).join(' ');
+    const fittingVariants = getVariants(model).filter((variant) => variant.productId === this.productId);
+
+    if (fittingVariants.length === 0) {
+      return { status: 'not-compatible', text: window.themeHelpers.t('myGearNotCompatible', { name }) };
+    }
+
+    if (this.variantId && !fittingVariants.some((variant) => variant.id === this.variantId)) {
+      const variantTitles = fittingVariants.map((variant) => variant.title).join(' / ');
+      return { status: 'select-variant', text: window.themeHelpers.t('myGearSelectVariant', { variant: variantTitles, name }) };
+    }
+
+    return { status: 'fits', text: window.themeHelpers.t('myGearFits', { name }) };
+  }
+
+  _render(fit) {
+    this.hidden = !fit;
+    if (!fit) return;
+
+    this.textContent = fit.text;
+    ['fits', 'select-variant', 'not-compatible'].forEach((status) => {
+      this.classList.toggle(`gear-fit-badge--${status}`, fit.status === status);
+    });
+  }
+}
+
+if (!window.customElements.get('gear-fit-badge')) {
+  window.customElements.define('gear-fit-badge', GearFitBadge);
+}
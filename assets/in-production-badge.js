@@ -10,7 +10,7 @@ class InProductionBadge extends HTMLElement {
       this._atcButtons = this._getAtcButtons();
       this._originalButtonText = this._atcButtons.length
         ? this._atcButtons[0].textContent.trim()
-        : 'Add to cart';
+        : window.themeVariables.strings.addToCartButton;
 
       const initialId = parseInt(this.dataset.selectedVariantId, 10);
       const initial = this._variants.find(v => v.id === initialId);
@@ -28,6 +28,10 @@ class InProductionBadge extends HTMLElement {
     });
   }
 
+  _getLocale() {
+    return window.Shopify?.locale || document.documentElement.lang || 'en';
+  }
+
   _getAtcButtons() {
     const id = this._formId;
     return [
@@ -43,14 +47,16 @@ class InProductionBadge extends HTMLElement {
       const parts = String(variantData.backorderDate).split('-').map(Number);
       const d = parts.length === 3 ? new Date(parts[0], parts[1] - 1, parts[2]) : null;
       const dateStr = d && !isNaN(d)
-        ? d.toLocaleDateString('en-US', { year: 'numeric', month: 'long' })
+        ? d.toLocaleDateString(this._getLocale(), { year: 'numeric', month: 'long' })
         : '';
 
       this._dateEl.textContent = dateStr;
       this._badge.hidden = false;
       this._setLineItemProperty(dateStr || variantData.backorderDate);
       // Delay so we run after the theme's variant:change handler resets the button
-      requestAnimationFrame(() => this._setButtonText('Order' + (dateStr ? ' \u2013 ' + dateStr : '')));
+      const strings = window.themeVariables.strings;
+      const buttonText = dateStr ? strings.inProductionOrderWithDate.replace('{{ date }}', dateStr) : strings.inProductionOrder;
+      requestAnimationFrame(() => this._setButtonText(buttonText));
     } else {
       this._badge.hidden = true;
       this._removeLineItemProperty();
@@ -0,0 +1,119 @@
+/**
+ * My Gear
+ * The customer's optic, picked once in the sizing chart popup, the optic sizing chart or the System Builder
+ * and reused by all of them, and by the gear fit badges of product cards and product pages (see gear-fit-badge.js).
+ *
+ * The profile is kept in the browser (shared by every open tab). For logged-in customers, it is also read from
+ * the custom.my_gear customer metafield and, when the "My Gear" theme settings set a sync endpoint (e.g. an app
+ * proxy), saved back to it. The most recent profile wins.
+ *
+ * - window.myGear.getOptic(): { brand, model } handles of the customer's optic, or null
+ * - window.myGear.setOptic(brand, model): save the customer's optic
+ * - window.myGear.clear(): forget the customer's optic
+ * - "my-gear:change" is dispatched on the document with { optic } when the optic changes (in any tab)
+ */
+class MyGear {
+  static STORAGE_KEY = 'theme:my-gear';
+  static VERSION = 1;
+
+  constructor() {
+    const settings = window.themeVariables?.myGear || {};
+    const localProfile = this._normalize(this._read());
+    const customerProfile = this._normalize(settings.customerProfile);
+
+    this.syncUrl = settings.syncUrl || null;
+    this.profile = localProfile;
+
+    if (customerProfile && (!localProfile || customerProfile.updatedAt > localProfile.updatedAt)) {
+      this.profile = customerProfile;
+      this._write();
+    } else if (localProfile && (!customerProfile || localProfile.updatedAt > customerProfile.updatedAt)) {
+      this._sync();
+    }
+
+    window.addEventListener('storage', (event) => {
+      if (event.key !== MyGear.STORAGE_KEY) return;
+
+      this.profile = this._normalize(this._read());
+      this._dispatchChange();
+    });
+  }
+
+  getOptic() {
+    return this.profile ? { ...this.profile.optic } : null;
+  }
+
+  setOptic(brand, model) {
+    if (!brand || !model) return;
+    if (this.profile?.optic.brand === brand && this.profile.optic.model === model) return;
+
+    this.profile = { v: MyGear.VERSION, optic: { brand, model }, updatedAt: Date.now() };
+    this._save();
+  }
+
+  clear() {
+    if (!this.profile) return;
+
+    this.profile = null;
+    this._save();
+  }
+
+  _save() {
+    this._write();
+    this._sync();
+    this._dispatchChange();
+  }
+
+  _read() {
+    try {
+      return JSON.parse(localStorage.getItem(MyGear.STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _write() {
+    try {
+      if (this.profile) {
+        localStorage.setItem(MyGear.STORAGE_KEY, JSON.stringify(this.profile));
+      } else {
+        localStorage.removeItem(MyGear.STORAGE_KEY);
+      }
+    } catch (error) {
+      // Safari in private mode does not allow setting item, the profile only lasts for the page
+    }
+  }
+
+  // Only set for logged-in customers, see js-variables.liquid
+  async _sync() {
+    if (!this.syncUrl) return;
+
+    try {
+      const response = await fetch(this.syncUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ gear: this.profile })
+      });
+      if (!response.ok) throw new Error(`Unexpected status ${response.status}`);
+    } catch (error) {
+      console.error('My Gear: Unable to sync the gear profile', error);
+    }
+  }
+
+  _normalize(profile) {
+    const optic = profile?.optic;
+    if (typeof optic?.brand !== 'string' || typeof optic.model !== 'string') return null;
+
+    return {
+      v: MyGear.VERSION,
+      optic: { brand: optic.brand, model: optic.model },
+      updatedAt: Number(profile.updatedAt) || 0
+    };
+  }
+
+  _dispatchChange() {
+    document.dispatchEvent(new CustomEvent('my-gear:change', { detail: { optic: this.getOptic() } }));
+  }
+}
+
+window.myGear = new MyGear();
@@ -0,0 +1,120 @@
+/**
+ * Optic Catalog
+ * Brands and models of the optic_brand and optic_model metaobjects, served by the optic-catalog section
+ * through the Section Rendering API. Loaded once, on first use, and shared by the System Builder, the
+ * sizing chart popup and the optic sizing chart. The loaded catalog is kept for the browser session (for
+ * CACHE_DURATION, in the same language and currency), so browsing the store doesn't fetch it on every page.
+ *
+ * - window.opticCatalog.load(): resolves with { brands, models, accessories, fitVariants }, fetching
+ *   every page of the catalog (250 models each) the first time
+ * - window.opticCatalog.get(): the loaded (or kept) catalog, or null while it isn't loaded
+ */
+// Scripts of every section using the catalog load this file, the first copy wins
+if (!window.opticCatalog) {
+  class OpticCatalog {
+    static SECTION_ID = 'optic-catalog';
+    static STORAGE_KEY = 'theme:optic-catalog';
+    // Stock levels are checked again before a build is added to the cart, see system-builder.js
+    static CACHE_DURATION = 15 * 60 * 1000;
+
+    constructor() {
+      this.catalog = null;
+      this.promise = null;
+    }
+
+    load() {
+      if (!this.promise && this.get()) {
+        this.promise = Promise.resolve(this.catalog);
+      }
+
+      if (!this.promise) {
+        this.promise = this._fetchCatalog()
+          .then((catalog) => {
+            this.catalog = catalog;
+            this._writeCache();
+            return catalog;
+          })
+          .catch((error) => {
+            // Tried again on the next call
+            this.promise = null;
+            throw error;
+          });
+      }
+
+      return this.promise;
+    }
+
+    get() {
+      if (!this.catalog) {
+        this.catalog = this._readCache();
+      }
+
+      return this.catalog;
+    }
+
+    // Names and prices depend on the language (its URL root) and the currency
+    _getCacheContext() {
+      return `${window.Shopify?.routes?.root || '/'}|${window.Shopify?.currency?.active || ''}`;
+    }
+
+    _readCache() {
+      try {
+        const cache = JSON.parse(sessionStorage.getItem(OpticCatalog.STORAGE_KEY));
+        const isFresh = cache && cache.context === this._getCacheContext() && Date.now() - cache.savedAt < OpticCatalog.CACHE_DURATION;
+        return isFresh ? cache.catalog : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    _writeCache() {
+      try {
+        sessionStorage.setItem(OpticCatalog.STORAGE_KEY, JSON.stringify({
+          context: this._getCacheContext(),
+          savedAt: Date.now(),
+          catalog: this.catalog
+        }));
+      } catch (error) {
+        // Private mode or a catalog over the storage quota, it's fetched again on the next page
+      }
+    }
+
+    async _fetchCatalog() {
+      const firstPage = await this._fetchPage(1);
+      const pageCount = Number(firstPage.pages) || 1;
+      const otherPages = await Promise.all(
+        Array.from({ length: pageCount - 1 }, (_, index) => this._fetchPage(index + 2))
+      );
+
+      const pages = [firstPage, ...otherPages];
+      const unique = (items, getKey) => {
+        const seen = new Set();
+        return items.filter((item) => {
+          const key = String(getKey(item));
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+      };
+
+      return {
+        brands: unique(pages.flatMap((page) => page.brands || []), (brand) => brand.handle),
+        models: unique(pages.flatMap((page) => page.models || []), (model) => model.handle),
+        accessories: unique(pages.flatMap((page) => page.accessories || []), (accessory) => accessory.id),
+        fitVariants: unique(pages.flatMap((page) => page.fitVariants || []), (variant) => variant.id)
+      };
+    }
+
+    async _fetchPage(page) {
+      const root = window.Shopify?.routes?.root || '/';
+      const response = await fetch(`${root}?section_id=${OpticCatalog.SECTION_ID}&page=${page}`);
+      if (!response.ok) throw new Error(`Failed to load page ${page} of the optic catalog`);
+
+      const html = await response.text();
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      return JSON.parse(doc.querySelector('[data-optic-catalog]')?.textContent || '{}');
+    }
+  }
+
+  window.opticCatalog = new OpticCatalog();
+}
@@ -0,0 +1,246 @@
+/**
+ * Optic Fit Facet
+ * "Fits my optic" filter of collection and search pages (see optic-fit-facet.liquid). The optic model picked by the
+ * shopper is submitted with the other filters of the facet form as the "fits" parameter, so it is kept in the URL
+ * and reloads the section like any other filter.
+ *
+ * Liquid can't read that parameter, so the rendered results are narrowed here whenever the section is (re)loaded:
+ * the optic-fit-results section renders the cards of every filtered and sorted result, a page at a time, and the
+ * cards of the products the model lists (its ring mount and mag ring variants, from the optic catalog) replace the
+ * product list. The unfiltered product list stays hidden meanwhile.
+ */
+class OpticFitFacet extends HTMLElement {
+  static PARAM = 'fits';
+  static RESULTS_SECTION_ID = 'optic-fit-results';
+  static RESULTS_PAGE_REQUESTS = 3;
+
+  connectedCallback() {
+    this.brandSelect = this.querySelector('[data-optic-fit-brand]');
+    this.modelSelect = this.querySelector('[data-optic-fit-model]');
+    this.gearButton = this.querySelector('[data-optic-fit-gear]');
+    this.section = this.closest('.shopify-section');
+    this.activeHandle = new URL(window.location.href).searchParams.get(OpticFitFacet.PARAM);
+    this.catalog = null;
+
+    // The results of the other filters are not shown before they're narrowed
+    if (this.activeHandle) {
+      this.section?.classList.add('is-narrowing-optic-fit');
+    }
+
+    this._bindEvents();
+    this._load();
+  }
+
+  _bindEvents() {
+    // The brand only lists its models, the results are updated once a model is picked (or cleared)
+    this.brandSelect.addEventListener('change', (event) => {
+      event.stopPropagation();
+
+      const hadModel = this.modelSelect.value !== '';
+      this._renderModels(this.brandSelect.value);
+      if (hadModel) {
+        this.modelSelect.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    });
+
+    // Runs before the facet form handles the change
+    this.modelSelect.addEventListener('change', () => this._updateFieldName());
+
+    this.gearButton.addEventListener('click', () => {
+      const optic = window.myGear.getOptic();
+      if (!optic) return;
+
+      this.brandSelect.value = optic.brand;
+      this._renderModels(optic.brand);
+      this.modelSelect.value = optic.model;
+      this.modelSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+
+  async _load() {
+    try {
+      this.catalog = await window.opticCatalog.load();
+    } catch (error) {
+      console.error('Optic Fit Facet: Unable to load the optic catalog', error);
+      this.section?.classList.remove('is-narrowing-optic-fit');
+      return;
+    }
+
+    if (!this.isConnected) return;
+
+    const activeModel = this.catalog.models.find((m) => m.handle === this.activeHandle);
+
+    this._renderBrands();
+    this.brandSelect.value = activeModel?.brandHandle || '';
+    this._renderModels(this.brandSelect.value);
+    this.modelSelect.value = activeModel?.handle || '';
+    this._updateFieldName();
+    this._renderGearButton(activeModel);
+
+    // Every facet form of the section (drawer, sidebar...) has the filter, the first one narrows the results
+    if (activeModel && this.section?.querySelector('optic-fit-facet') === this) {
+      this._narrowResults(activeModel);
+    } else if (!activeModel) {
+      this.section?.classList.remove('is-narrowing-optic-fit');
+    }
+  }
+
+  _renderBrands() {
+    const brands = this.catalog.brands.filter((brand) => (
+      this.catalog.models.some((model) => model.brandHandle === brand.handle)
+    ));
+
+    this.brandSelect.replaceChildren(this.brandSelect.options[0], ...brands.map((brand) => new Option(brand.name, brand.handle)));
+  }
+
+  _renderModels(brandHandle) {
+    const models = this.catalog ? this.catalog.models.filter((model) => model.brandHandle === brandHandle) : [];
+
+    this.modelSelect.replaceChildren(this.modelSelect.options[0], ...models.map((model) => new Option(model.name, model.handle)));
+    this.modelSelect.value = '';
+    this.modelSelect.disabled = models.length === 0;
+    this._updateFieldName();
+  }
+
+  // Without a model, the field is left out of the URL
+  _updateFieldName() {
+    if (this.modelSelect.value) {
+      this.modelSelect.setAttribute('name', OpticFitFacet.PARAM);
+    } else {
+      this.modelSelect.removeAttribute('name');
+    }
+  }
+
+  _renderGearButton(activeModel) {
+    const optic = window.myGear.getOptic();
+    const model = optic && this.catalog.models.find((m) => m.handle === optic.model && m.brandHandle === optic.brand);
+
+    this.gearButton.hidden = !model || model === activeModel;
+    if (model) {
+      this.gearButton.textContent = window.themeHelpers.t('opticFitFilterUseGear', { name: this._getModelName(model) });
+    }
+  }
+
+  async _narrowResults(model) {
+    const name = this._getModelName(model);
+    const fittingHandles = new Set([...(model.ringMount || []), ...(model.magRing || [])].map((variant) => variant.productHandle));
+    const productList = this.section.querySelector('product-list');
+
+    this._renderActiveFacet(name);
+    if (!productList) {
+      this.section.classList.remove('is-narrowing-optic-fit');
+      return;
+    }
+
+    this.section.classList.add('is-loading');
+
+    try {
+      const cards = (await this._fetchResultCards())
+        .filter((card) => fittingHandles.has(card.getAttribute('handle')))
+        .map((card) => document.importNode(card, true));
+      if (!this.isConnected) return;
+
+      productList.replaceChildren(...cards);
+      if (cards.length === 0) {
+        productList.appendChild(this._createMessage(window.themeHelpers.t('opticFitFilterEmpty', { name })));
+      }
+
+      this._renderResultsCount(cards.length);
+      this.section.querySelectorAll('.collection__pagination').forEach((pagination) => {
+        pagination.hidden = true;
+      });
+    } catch (error) {
+      console.error('Optic Fit Facet: Unable to narrow the results', error);
+      productList.replaceChildren(this._createMessage(window.themeHelpers.t('opticFitFilterError')));
+    } finally {
+      this.section.classList.remove('is-loading', 'is-narrowing-optic-fit');
+    }
+  }
+
+  // Active filter next to the other ones, and kept when one of them is removed
+  _renderActiveFacet(name) {
+    const template = this.querySelector('[data-optic-fit-pill]');
+    const label = window.themeHelpers.t('opticFitFilterActive', { name });
+    const removeUrl = new URL(window.location.href);
+    removeUrl.searchParams.delete(OpticFitFacet.PARAM);
+    removeUrl.searchParams.delete('page');
+
+    this.section.querySelectorAll('.removable-facet a[href]').forEach((link) => {
+      const url = new URL(link.href, window.location.href);
+      url.searchParams.set(OpticFitFacet.PARAM, this.activeHandle);
+      link.href = url.toString();
+    });
+
+    this.section.querySelectorAll('.active-facets').forEach((activeFacets) => {
+      const pill = template.content.firstElementChild.cloneNode(true);
+      const link = pill.querySelector('a');
+
+      pill.querySelector('[data-optic-fit-pill-label]').textContent = label;
+      link.href = removeUrl.toString();
+      link.setAttribute('aria-label', window.themeHelpers.t('collectionRemoveFilter', { name: label }));
+
+      activeFacets.prepend(pill);
+      activeFacets.hidden = false;
+    });
+  }
+
+  // The pages after the first one are fetched RESULTS_PAGE_REQUESTS at a time
+  async _fetchResultCards() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(OpticFitFacet.PARAM);
+    url.searchParams.set('section_id', OpticFitFacet.RESULTS_SECTION_ID);
+
+    const firstPage = await this._fetchResultsPage(url, 1);
+    const otherPages = [];
+    for (let page = 2; page <= firstPage.pageCount; page += OpticFitFacet.RESULTS_PAGE_REQUESTS) {
+      const lastPage = Math.min(page + OpticFitFacet.RESULTS_PAGE_REQUESTS - 1, firstPage.pageCount);
+      otherPages.push(...await Promise.all(
+        Array.from({ length: lastPage - page + 1 }, (_, index) => this._fetchResultsPage(url, page + index))
+      ));
+    }
+
+    return [firstPage, ...otherPages].flatMap((resultsPage) => resultsPage.cards);
+  }
+
+  async _fetchResultsPage(url, page) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set('page', page);
+
+    const doc = await this._fetchDocument(pageUrl.toString());
+    const results = JSON.parse(doc.querySelector('[data-optic-fit-results]')?.textContent || '{}');
+    return { pageCount: Number(results.pages) || 1, cards: [...doc.querySelectorAll('product-card')] };
+  }
+
+  async _fetchDocument(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Unexpected status ${response.status} for ${url}`);
+
+    return new DOMParser().parseFromString(await response.text(), 'text/html');
+  }
+
+  _renderResultsCount(count) {
+    const terms = new URL(window.location.href).searchParams.get('q') || '';
+
+    this.section.querySelectorAll('[data-results-count]').forEach((element) => {
+      if (!window.themeVariables.strings[element.dataset.resultsCount]) return;
+
+      element.textContent = window.themeHelpers.t(element.dataset.resultsCount, { count, terms });
+    });
+  }
+
+  _createMessage(text) {
+    const message = document.createElement('p');
+    message.className = 'optic-fit-facet__message';
+    message.textContent = text;
+    return message;
+  }
+
+  _getModelName(model) {
+    const brand = this.catalog.brands.find((b) => b.handle === model.brandHandle);
+    return [brand?.name, model.name].filter(Boolean).join(' ');
+  }
+}
+
+if (!window.customElements.get('optic-fit-facet')) {
+  window.customElements.define('optic-fit-facet', OpticFitFacet);
+}
@@ -0,0 +1,257 @@
+/**
+ * Optic Fit Finder
+ * Matches a measured eyepiece diameter against the diameter range of each ring mount and mag ring variant
+ * (the fitVariants of the optic catalog, see optic-catalog.js).
+ * Dispatches "optic-fit:change" (bubbling) with { diameter, status, ringMounts, magRings } whenever a
+ * measurement is matched.
+ */
+class OpticFitFinder extends HTMLElement {
+  static MM_PER_INCH = 25.4;
+
+  // How far (in mm) outside of a range a measurement is still shown as the closest size
+  static TOLERANCE_MM = 1;
+
+  /**
+   * Find the ring mounts and mag rings fitting a diameter (in mm).
+   * Status is "fit" when a range contains the diameter, "between" when it falls between two sizes,
+   * "closest" when it is just outside of the smallest or largest size, and "none" otherwise.
+   */
+  static findFit(diameter, variants) {
+    const hasRange = (variant) => Number.isFinite(parseFloat(variant.minDiameter)) && Number.isFinite(parseFloat(variant.maxDiameter));
+    const contains = (variant) => diameter >= parseFloat(variant.minDiameter) && diameter <= parseFloat(variant.maxDiameter);
+    const distance = (variant) => Math.max(parseFloat(variant.minDiameter) - diameter, diameter - parseFloat(variant.maxDiameter), 0);
+
+    const ringMounts = variants.filter((variant) => variant.type === 'ring-mount' && hasRange(variant));
+    const magRings = variants.filter((variant) => variant.type === 'mag-ring' && (!hasRange(variant) || contains(variant)));
+    const fits = ringMounts.filter(contains);
+
+    if (fits.length > 0) {
+      return { status: 'fit', ringMounts: fits, magRings };
+    }
+
+    const smaller = ringMounts.filter((variant) => parseFloat(variant.maxDiameter) < diameter)
+      .sort((a, b) => distance(a) - distance(b))[0];
+    const larger = ringMounts.filter((variant) => parseFloat(variant.minDiameter) > diameter)
+      .sort((a, b) => distance(a) - distance(b))[0];
+
+    // Closest size first
+    const candidates = [smaller, larger].filter(Boolean).sort((a, b) => distance(a) - distance(b));
+
+    if (smaller && larger) {
+      return { status: 'between', ringMounts: candidates, magRings };
+    }
+
+    if (candidates.length > 0 && distance(candidates[0]) <= OpticFitFinder.TOLERANCE_MM) {
+      return { status: 'closest', ringMounts: candidates, magRings };
+    }
+
+    return { status: 'none', ringMounts: [], magRings: [] };
+  }
+
+  connectedCallback() {
+    this.toggleButton = this.querySelector('[data-fit-finder-toggle]');
+    this.panel = this.querySelector('[data-fit-finder-panel]');
+    this.form = this.querySelector('[data-fit-finder-form]');
+    this.input = this.querySelector('[data-fit-finder-input]');
+    this.conversionEl = this.querySelector('[data-fit-finder-conversion]');
+    this.resultEl = this.querySelector('[data-fit-finder-result]');
+    this.unit = 'mm';
+    this.diameter = null;
+
+    this._bindEvents();
+  }
+
+  _bindEvents() {
+    this.toggleButton.addEventListener('click', () => this._togglePanel());
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._submit();
+    });
+
+    this.input.addEventListener('input', () => this._updateConversion());
+
+    this.querySelectorAll('[data-fit-finder-unit]').forEach((button) => {
+      button.addEventListener('click', () => this._setUnit(button.dataset.fitFinderUnit));
+    });
+  }
+
+  /**
+   * Match a diameter in mm, as if the customer had entered it
+   */
+  setDiameter(diameter) {
+    const value = parseFloat(diameter);
+    if (!Number.isFinite(value) || value <= 0) return;
+
+    this._setUnit('mm');
+    this.input.value = this._round(value, 1);
+    this._togglePanel(true);
+    this._updateConversion();
+    this._match(value);
+  }
+
+  /**
+   * Collapse the finder and forget the measurement, without dispatching an event
+   */
+  reset() {
+    this.diameter = null;
+    this.input.value = '';
+    this.conversionEl.textContent = '';
+    this.resultEl.innerHTML = '';
+    this.resultEl.hidden = true;
+    this._togglePanel(false);
+  }
+
+  _togglePanel(force) {
+    const isOpen = force !== undefined ? force : this.panel.hidden;
+
+    this.panel.hidden = !isOpen;
+    this.toggleButton.setAttribute('aria-expanded', String(isOpen));
+
+    if (isOpen && force === undefined) {
+      this.input.focus();
+    }
+
+    // Load the variants while the customer measures their eyepiece
+    if (isOpen) {
+      window.opticCatalog.load().catch(() => {});
+    }
+  }
+
+  _setUnit(unit) {
+    if (unit === this.unit) return;
+
+    // Convert the entered value so switching units does not change the measurement
+    const value = parseFloat(this.input.value);
+    if (Number.isFinite(value)) {
+      this.input.value = unit === 'in'
+        ? this._round(value / OpticFitFinder.MM_PER_INCH, 3)
+        : this._round(value * OpticFitFinder.MM_PER_INCH, 1);
+    }
+
+    this.unit = unit;
+    this.input.step = unit === 'in' ? '0.001' : '0.1';
+    this.input.placeholder = unit === 'in' ? window.themeHelpers.t('opticFitFinderPlaceholderIn') : window.themeHelpers.t('opticFitFinderPlaceholderMm');
+
+    this.querySelectorAll('[data-fit-finder-unit]').forEach((button) => {
+      const selected = button.dataset.fitFinderUnit === unit;
+      button.classList.toggle('optic-fit-finder__unit--selected', selected);
+      button.setAttribute('aria-pressed', String(selected));
+    });
+
+    this._updateConversion();
+  }
+
+  _getDiameterInMm() {
+    const value = parseFloat(this.input.value);
+    if (!Number.isFinite(value) || value <= 0) return null;
+
+    return this.unit === 'in' ? value * OpticFitFinder.MM_PER_INCH : value;
+  }
+
+  _updateConversion() {
+    const diameter = this._getDiameterInMm();
+
+    if (diameter === null) {
+      this.conversionEl.textContent = '';
+    } else if (this.unit === 'in') {
+      this.conversionEl.textContent = `= ${this._round(diameter, 1)} mm`;
+    } else {
+      this.conversionEl.textContent = `= ${this._round(diameter / OpticFitFinder.MM_PER_INCH, 3)} in`;
+    }
+  }
+
+  _submit() {
+    const diameter = this._getDiameterInMm();
+
+    if (diameter === null) {
+      this.resultEl.innerHTML = `<p class="optic-fit-finder__message optic-fit-finder__message--error">${window.themeHelpers.t('opticFitFinderEmptyError')}</p>`;
+      this.resultEl.hidden = false;
+      return;
+    }
+
+    this._match(this._round(diameter, 1));
+  }
+
+  _match(diameter) {
+    const variants = window.opticCatalog.get()?.fitVariants;
+
+    // Matched again once the catalog is loaded
+    if (!variants) {
+      window.opticCatalog.load()
+        .then(() => this._match(diameter))
+        .catch((error) => {
+          console.error('Optic Fit Finder: Unable to load the optic catalog', error);
+          this.resultEl.innerHTML = `<p class="optic-fit-finder__message optic-fit-finder__message--error">${window.themeHelpers.t('sizingChartLoadError')}</p>`;
+          this.resultEl.hidden = false;
+        });
+      return;
+    }
+
+    const fit = OpticFitFinder.findFit(diameter, variants);
+
+    this.diameter = diameter;
+    this._renderResult(diameter, fit);
+
+    this.dispatchEvent(new CustomEvent('optic-fit:change', {
+      bubbles: true,
+      detail: { diameter, ...fit }
+    }));
+  }
+
+  _renderResult(diameter, fit) {
+    const measurement = `${this._round(diameter, 1)} mm (${this._round(diameter / OpticFitFinder.MM_PER_INCH, 3)} in)`;
+    const messages = {
+      fit: window.themeHelpers.t('opticFitFinderFit', { measurement }),
+      between: window.themeHelpers.t('opticFitFinderBetween', { measurement }),
+      closest: window.themeHelpers.t('opticFitFinderClosest', { measurement }),
+      none: window.themeHelpers.t('opticFitFinderNone', { measurement })
+    };
+
+    const sizes = [
+      ...fit.ringMounts.map((variant) => ({ label: window.themeHelpers.t('opticFitFinderRingMount'), variant })),
+      ...fit.magRings.map((variant) => ({ label: window.themeHelpers.t('opticFitFinderMagRing'), variant }))
+    ];
+
+    const builderUrl = this.dataset.builderUrl;
+    let buildLinkHtml = '';
+    if (builderUrl && fit.status !== 'none') {
+      const url = new URL(builderUrl, window.location.origin);
+      url.searchParams.set('diameter', this._round(diameter, 1));
+      buildLinkHtml = `<a class="optic-fit-finder__build-link" href="${url.pathname}${url.search}">${window.themeHelpers.t('opticFitFinderBuildLink')}</a>`;
+    }
+
+    this.resultEl.innerHTML = `
+      <p class="optic-fit-finder__message">${messages[fit.status]}</p>
+      ${sizes.length > 0 ? `
+        <ul class="optic-fit-finder__sizes">
+          ${sizes.map(({ label, variant }) => `
+            <li class="optic-fit-finder__size">
+              <span class="optic-fit-finder__size-label">${label}</span>
+              <span class="optic-fit-finder__size-value">${this._getVariantTitle(variant)}${this._getRangeText(variant)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      ${buildLinkHtml}
+    `;
+    this.resultEl.hidden = false;
+  }
+
+  _getVariantTitle(variant) {
+    return variant.title && variant.title !== 'Default Title' ? `${variant.productTitle} - ${variant.title}` : variant.productTitle;
+  }
+
+  _getRangeText(variant) {
+    if (variant.minDiameter == null || variant.maxDiameter == null) return '';
+    return ` <span class="optic-fit-finder__range">(${variant.minDiameter}–${variant.maxDiameter} mm)</span>`;
+  }
+
+  _round(value, decimals) {
+    return Number(value.toFixed(decimals));
+  }
+}
+
+if (!window.customElements.get('optic-fit-finder')) {
+  window.customElements.define('optic-fit-finder', OpticFitFinder);
+}
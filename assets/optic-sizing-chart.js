@@ -1,11 +1,53 @@
 class OpticSizingChart extends HTMLElement {
   connectedCallback() {
-    this.brands = JSON.parse(this.querySelector('[data-osc-brands]').textContent);
-    this.models = JSON.parse(this.querySelector('[data-osc-models]').textContent);
+    this.brands = [];
+    this.models = [];
     this.accordionEl = this.querySelector('[data-osc-accordion]');
 
-    this._renderAccordion();
     this._bindEvents();
+    this._observeViewport();
+  }
+
+  disconnectedCallback() {
+    this._observer?.disconnect();
+  }
+
+  // Load the catalog once the chart is about to scroll into view
+  _observeViewport() {
+    this._observer = new IntersectionObserver((entries) => {
+      if (!entries.some((entry) => entry.isIntersecting)) return;
+
+      this._observer.disconnect();
+      this._loadCatalog();
+    }, { rootMargin: '200px 0px' });
+
+    this._observer.observe(this);
+  }
+
+  async _loadCatalog() {
+    try {
+      const catalog = await window.opticCatalog.load();
+      this.brands = catalog.brands;
+      this.models = catalog.models;
+    } catch (error) {
+      console.error('Optic Sizing Chart: Unable to load the optic catalog', error);
+      this.accordionEl.innerHTML = `<p class="osc__empty" role="status">${window.themeVariables.strings.sizingChartLoadError}</p>`;
+      return;
+    }
+
+    this._renderAccordion();
+    this._showGearOptic();
+  }
+
+  // Open the customer's optic (My Gear), if the chart lists it
+  _showGearOptic() {
+    const optic = window.myGear.getOptic();
+    const row = optic ? this.accordionEl.querySelector(`[data-osc-brand="${CSS.escape(optic.brand)}"]`) : null;
+    if (!row || !this.models.some((m) => m.handle === optic.model && m.brandHandle === optic.brand)) return;
+
+    const panel = row.querySelector('[data-osc-panel]');
+    this._openBrandRow(row);
+    this._showModelSizes(panel, optic.model);
   }
 
   _renderAccordion() {
@@ -48,7 +90,7 @@ class OpticSizingChart extends HTMLElement {
     const chipsEl = panelEl.querySelector('[data-osc-chips]');
 
     if (models.length === 0) {
-      chipsEl.innerHTML = '<p class="osc__empty">No models listed for this brand.</p>';
+      chipsEl.innerHTML = `<p class="osc__empty">${window.themeVariables.strings.sizingChartNoModels}</p>`;
       return;
     }
 
@@ -87,24 +129,25 @@ class OpticSizingChart extends HTMLElement {
       }
     }
 
-    const variants = model.ringMountVariants || [];
+    const variants = model.ringMount || [];
     const ringMountSizes = variants.filter(v => v.title !== 'Default Title').map(v => v.title);
     const integratedEyecups = variants.filter(v => v.title === 'Default Title').map(v => v.productTitle);
+    const strings = window.themeVariables.strings;
 
     sizesEl.innerHTML = `
       ${ringMountSizes.length > 0 ? `
         <div class="osc__size-row">
-          <span class="osc__size-label">Ring Mount</span>
+          <span class="osc__size-label">${strings.sizingChartRingMount}</span>
           <span class="osc__size-values">${ringMountSizes.join(' / ')}</span>
         </div>
       ` : ''}
       ${integratedEyecups.length > 0 ? `
         <div class="osc__size-row">
-          <span class="osc__size-label">Integrated Eyecup</span>
+          <span class="osc__size-label">${strings.sizingChartIntegratedEyecup}</span>
           <span class="osc__size-values">${integratedEyecups.join(', ')}</span>
         </div>
       ` : ''}
-      ${ringMountSizes.length === 0 && integratedEyecups.length === 0 ? '<p class="osc__no-sizes">No size data available.</p>' : ''}
+      ${ringMountSizes.length === 0 && integratedEyecups.length === 0 ? `<p class="osc__no-sizes">${strings.sizingChartNoSizes}</p>` : ''}
     `;
 
     resultEl.hidden = false;
@@ -128,25 +171,33 @@ class OpticSizingChart extends HTMLElement {
 
         // Open clicked row if it was closed
         if (!isOpen) {
-          if (!panel.dataset.rendered) {
-            this._renderPanel(row.dataset.oscBrand, panel);
-            panel.dataset.rendered = '1';
-          }
-          panel.hidden = false;
-          row.classList.add('osc__brand--open');
-          trigger.setAttribute('aria-expanded', 'true');
+          this._openBrandRow(row);
         }
         return;
       }
 
-      // Model chip — show sizes
+      // Model chip — show sizes, and save the optic to the customer's gear
       const chip = e.target.closest('[data-osc-chip]');
       if (chip) {
         const panel = chip.closest('[data-osc-panel]');
         this._showModelSizes(panel, chip.dataset.oscChip);
+
+        const model = this.models.find((m) => m.handle === chip.dataset.oscChip);
+        if (model) window.myGear.setOptic(model.brandHandle, model.handle);
       }
     });
   }
+
+  _openBrandRow(row) {
+    const panel = row.querySelector('[data-osc-panel]');
+    if (!panel.dataset.rendered) {
+      this._renderPanel(row.dataset.oscBrand, panel);
+      panel.dataset.rendered = '1';
+    }
+    panel.hidden = false;
+    row.classList.add('osc__brand--open');
+    row.querySelector('[data-osc-trigger]').setAttribute('aria-expanded', 'true');
+  }
 }
 
 customElements.define('optic-sizing-chart', OpticSizingChart);
@@ -1,7 +1,8 @@
 class SizingChartPopup extends HTMLElement {
   connectedCallback() {
-    this.brands = JSON.parse(this.querySelector('[data-sizing-brands]').textContent);
-    this.models = JSON.parse(this.querySelector('[data-sizing-models]').textContent);
+    // Loaded from the optic catalog when the dialog first opens
+    this.brands = [];
+    this.models = [];
 
     this.dialog = this.querySelector('[data-sizing-dialog]');
     this.brandHandle = this.dataset.brandHandle || null;
@@ -16,13 +17,21 @@ class SizingChartPopup extends HTMLElement {
     this.integratedEyecupRow = this.querySelector('[data-sizing-integrated-eyecup-row]');
     this.integratedEyecupValues = this.querySelector('[data-sizing-integrated-eyecup-values]');
     this.noSizes = this.querySelector('[data-sizing-no-sizes]');
+    this.statusEl = this.querySelector('[data-sizing-status]');
 
     this._ready = false;
+    this._loading = false;
     this._bindEvents();
   }
 
   _bindEvents() {
-    this.querySelector('[data-sizing-trigger]').addEventListener('click', () => this.open());
+    const trigger = this.querySelector('[data-sizing-trigger]');
+    trigger.addEventListener('click', () => this.open());
+
+    // Start loading the catalog as soon as the customer is about to open the dialog
+    ['pointerenter', 'focus'].forEach((type) => {
+      trigger.addEventListener(type, () => window.opticCatalog.load().catch(() => {}), { once: true });
+    });
     this.querySelector('[data-sizing-close]').addEventListener('click', () => this.close());
 
     // Close on backdrop click
@@ -43,25 +52,58 @@ class SizingChartPopup extends HTMLElement {
       const chip = e.target.closest('[data-sizing-chip]');
       if (!chip) return;
       this._selectModel(chip.dataset.value);
+
+      const model = this.models.find((m) => m.handle === chip.dataset.value);
+      if (model) window.myGear.setOptic(model.brandHandle, model.handle);
     });
   }
 
-  open() {
-    if (!this._ready) {
-      if (this.brandHandle) {
-        this._selectBrand(this.brandHandle);
-      } else {
-        this._renderBrandChips();
-      }
-      this._ready = true;
-    }
+  async open() {
     this.dialog.showModal();
+    if (this._ready || this._loading) return;
+
+    this._loading = true;
+    this._setStatus(window.themeVariables.strings.sizingChartLoading);
+
+    try {
+      const catalog = await window.opticCatalog.load();
+      this.brands = catalog.brands;
+      this.models = catalog.models;
+    } catch (error) {
+      console.error('Sizing Chart: Unable to load the optic catalog', error);
+      this._setStatus(window.themeVariables.strings.sizingChartLoadError);
+      return;
+    } finally {
+      this._loading = false;
+    }
+
+    this._setStatus('');
+
+    if (this.brandHandle) {
+      this._selectBrand(this.brandHandle);
+    } else {
+      this._renderBrandChips();
+    }
+
+    // Start from the customer's optic (My Gear) when it belongs to the chart's brand
+    const optic = window.myGear.getOptic();
+    const isListed = optic && this.models.some((m) => m.handle === optic.model && m.brandHandle === optic.brand);
+    if (isListed && (!this.brandHandle || optic.brand === this.brandHandle)) {
+      if (!this.brandHandle) this._selectBrand(optic.brand);
+      this._selectModel(optic.model);
+    }
+    this._ready = true;
   }
 
   close() {
     this.dialog.close();
   }
 
+  _setStatus(message) {
+    this.statusEl.textContent = message;
+    this.statusEl.hidden = !message;
+  }
+
   _renderBrandChips() {
     this.brandChipsEl.innerHTML = '';
     this.brands.forEach((brand) => {
@@ -111,7 +153,7 @@ class SizingChartPopup extends HTMLElement {
     }
 
     // Split ring_mount variants into sizes vs integrated eyecups
-    const variants = model.ringMountVariants || [];
+    const variants = model.ringMount || [];
     const ringMountSizes = variants.filter(v => v.title !== 'Default Title').map(v => v.title);
     const integratedEyecups = variants.filter(v => v.title === 'Default Title').map(v => v.productTitle);
 
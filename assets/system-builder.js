@@ -1,7 +1,28 @@
 /**
  * System Builder Web Component
  * A multi-step product configurator for optic adapters and phone cases.
- * Supports multiple optic configurations.
+ * Supports multiple optic and phone configurations.
+ *
+ * Funnel events (see trackEvent): brand-selected, model-selected, product-toggled, config-added,
+ * config-removed, quantity-changed, added-to-cart and add-to-cart-failed.
+ *
+ * Optic models picked in the builder are saved to the customer's gear profile (see my-gear.js), which
+ * preselects the optic of new builds.
+ *
+ * The phone, adapter and accessory steps start right away. The optic steps wait for the optic catalog
+ * (see loadCatalog), and so do the optics of a restored build, the preselected optic and the customer's optic.
+ * When the catalog fails to load, the optic step says so and loads it again on the next interaction.
+ *
+ * Public API, for other sections to drive the builder (wait for customElements.whenDefined('system-builder'),
+ * then, for optics, for the builder's ready promise, resolved once the optic catalog is loaded or failed to):
+ * - selectOptic(brand, model, configId): select an optic brand and model (handles), returns the config ID
+ * - selectPhone(brand, model, phoneConfigId): select a phone brand and model, returns the phone config ID
+ * - addVariant(variantId, quantity, { configId, phoneConfigId }): add a displayed product (adapter, accessory,
+ *   ring mount...) to the build. A ring mount or mag ring goes to the given optic config, a phone case to the given
+ *   phone config (by default, the first config that shows it)
+ * - getState(): configurations, selected items and totals of the current build
+ * - reset(): clear the build
+ * A bubbling "system-builder:change" event carries the state ({ state }) whenever it changes.
  */
 class SystemBuilder extends HTMLElement {
   constructor() {
@@ -9,22 +30,27 @@ class SystemBuilder extends HTMLElement {
 
     // Configuration limits
     this.MAX_OPTIC_CONFIGS = 15;
+    this.MAX_PHONE_CONFIGS = 15;
+    this.SEARCH_MAX_RESULTS = 8;
 
     // Optic configurations array - each config has its own state
-    // Format: [{ id, opticBrand, opticModel, ringMount: [], magRing: [] }]
+    // Format: [{ id, opticBrand, opticModel, eyepieceDiameter, ringMount: [], magRing: [] }]
+    // eyepieceDiameter (mm) replaces the model for optics that aren't listed, see handleOpticFit
     this.opticConfigs = [];
     this.nextOpticConfigId = 1;
 
-    // Global state (non-optic related)
+    // Phone configurations array - each phone gets its own case
+    // Format: [{ id, phoneBrand, phoneModel, phoneCase }]
+    this.phoneConfigs = [];
+    this.nextPhoneConfigId = 1;
+
+    // Global state (not tied to an optic or a phone)
     this.state = {
-      adapter: null,
-      phoneBrand: null,
-      phoneModel: null,
-      phoneCase: null
+      adapter: null
     };
 
-    // Track which products are selected for cart (keyed by variant ID for multi-selection support)
-    // Format: { variantId: { id, title, price, image, productTitle, productType, available, quantity } }
+    // Track which products are selected for cart, keyed by selection key (see getSelectionKey)
+    // Format: { selectionKey: { id, title, price, image, productTitle, productType, configId, phoneConfigId, available, quantity } }
     this.selectedProducts = {};
 
     // Data storage
@@ -34,48 +60,207 @@ class SystemBuilder extends HTMLElement {
       phoneBrands: [],
       phoneModels: [],
       adapterProduct: null,
-      accessories: []
+      accessories: [],
+      relatedAccessories: [],
+      compatibilityRules: [],
+      bundleRules: []
     };
 
-    // Money formatter
-    this.moneyFormat = window.Shopify?.currency?.active || 'USD';
+    // Accessories recommended for the build, see getAccessoryRecommendations
+    // complementaryAccessories: Shopify's complementary recommendations by product ID (null while loading)
+    this.COMPLEMENTARY_ACCESSORIES_LIMIT = 4;
+    this.complementaryAccessories = new Map();
+    this.accessoriesSignature = null;
+    // Restored accessories waiting for their recommendation to load, by variant ID
+    this.pendingAccessoryQuantities = {};
+
+    // Outcome of the compatibility rules for the current selection, see getCompatibilityIssues
+    this.compatibilityIssues = { conflicts: [], missing: [], recommended: [] };
+
+    // Money formatting, in the presentment currency of the active market (see formatMoney)
+    const themeSettings = window.themeVariables?.settings || {};
+    this.currency = window.Shopify?.currency?.active || 'USD';
+    this.locale = window.Shopify?.locale || document.documentElement.lang || 'en';
+    // Prices are also set as text, so any markup of the money format is dropped
+    this.moneyFormat = (themeSettings.currencyCodeEnabled
+      ? themeSettings.moneyWithCurrencyFormat || themeSettings.moneyFormat
+      : themeSettings.moneyFormat || '').replace(/<[^>]*>/g, '');
+    this.currencyFormatter = new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency });
+    // Zero-decimal currencies (JPY, KRW...) have no minor unit to display
+    this.currencyDecimals = this.currencyFormatter.resolvedOptions().maximumFractionDigits;
+
+    // Shareable URL state
+    this.STATE_URL_PARAM = 'cfg';
+    this.STATE_VERSION = 3;
+    this.MAX_RESTORED_QUANTITY = 99;
+    this.isRestoring = false;
+
+    // Build being edited from the cart ("Edit system" link), replaced on the next add to cart
+    this.BUILD_URL_PARAM = 'build';
+    this.editingBuildId = null;
+
+    // Eyepiece diameter sent from a sizing chart's fit finder (e.g. /pages/build?diameter=42.5)
+    this.DIAMETER_URL_PARAM = 'diameter';
+
+    // Optic preselected from the page context (e.g. /pages/build?brand=leica&model=geovid-pro),
+    // falling back to the section setting or product metafield (data-preselect-brand and data-preselect-model)
+    this.BRAND_URL_PARAM = 'brand';
+    this.MODEL_URL_PARAM = 'model';
+
+    // Persisted session (shared by every open tab)
+    this.SESSION_STORAGE_KEY = 'theme:system-builder-session';
+    this.SESSION_VERSION = 1;
+    this.SESSION_MAX_AGE = 1000 * 60 * 60 * 24 * 30;
+    this.lastSessionState = null;
+    this._onStorageChangeListener = this.handleStorageChange.bind(this);
+
+    // Live inventory (embedded stock data may come from a cached page)
+    this.INVENTORY_MAX_AGE = 1000 * 60;
+    this.lastInventoryCheck = 0;
+    this.isAddingToCart = false;
+
+    // Wizard mode (one step at a time), see initializeWizard
+    this.isWizard = false;
+    this.wizardSteps = [];
+    this.currentStep = null;
+    this._onPopStateListener = this.handlePopState.bind(this);
+
+    // Undo/redo history of serialized states, see recordHistory
+    this.MAX_HISTORY = 50;
+    this.UNDO_TOAST_DURATION = 8000;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyState = null;
+    this.undoToastTimeout = null;
+
+    // Confirmation shown on the "Copy as text" button, see copyBuildSheet
+    this.copyFeedbackTimeout = null;
+
+    // Last state sent with "system-builder:change", see dispatchChange
+    this.lastChangeJson = null;
+
+    // Optic steps wait for the optic catalog, see loadCatalog and initializeOptics
+    // pendingOptics: optic snapshots (o of serializeState) to restore once it is loaded
+    this.isCatalogLoaded = false;
+    this.catalogLoading = null;
+    this.initialContext = null;
+    this.pendingOptics = null;
   }
 
   connectedCallback() {
     this.loadData();
+    this.loadConsentApi();
     this.bindEvents();
-    this.initializeState();
+
+    this.initialContext = this.initializeState();
+    window.addEventListener('storage', this._onStorageChangeListener);
+
+    this.ready = this.startOptics();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('storage', this._onStorageChangeListener);
+    window.removeEventListener('popstate', this._onPopStateListener);
+    this.summaryObserver?.disconnect();
+    clearTimeout(this.undoToastTimeout);
+    clearTimeout(this.copyFeedbackTimeout);
   }
 
   /**
    * Load metaobject data from embedded JSON
    */
   loadData() {
-    const opticBrandsEl = this.querySelector('[data-optic-brands]');
-    const opticModelsEl = this.querySelector('[data-optic-models]');
     const phoneBrandsEl = this.querySelector('[data-phone-brands]');
     const phoneModelsEl = this.querySelector('[data-phone-models]');
     const adapterProductEl = this.querySelector('[data-adapter-product]');
     const accessoriesEl = this.querySelector('[data-accessories]');
+    const relatedAccessoriesEl = this.querySelector('[data-related-accessories]');
+    const compatibilityRulesEl = this.querySelector('[data-compatibility-rules]');
+    const bundleRulesEl = this.querySelector('[data-bundle-rules]');
 
     try {
-      this.data.opticBrands = opticBrandsEl ? JSON.parse(opticBrandsEl.textContent) : [];
-      this.data.opticModels = opticModelsEl ? JSON.parse(opticModelsEl.textContent) : [];
       this.data.phoneBrands = phoneBrandsEl ? JSON.parse(phoneBrandsEl.textContent) : [];
       this.data.phoneModels = phoneModelsEl ? JSON.parse(phoneModelsEl.textContent) : [];
       this.data.adapterProduct = adapterProductEl ? JSON.parse(adapterProductEl.textContent) : null;
       this.data.accessories = accessoriesEl ? JSON.parse(accessoriesEl.textContent) : [];
+      this.data.relatedAccessories = relatedAccessoriesEl ? JSON.parse(relatedAccessoriesEl.textContent) : [];
+      this.data.compatibilityRules = compatibilityRulesEl ? JSON.parse(compatibilityRulesEl.textContent) : [];
+      this.data.bundleRules = bundleRulesEl ? JSON.parse(bundleRulesEl.textContent) : [];
     } catch (e) {
       console.error('System Builder: Error parsing data', e);
     }
   }
 
+  /**
+   * Start the optic steps once the optic catalog is loaded (see loadCatalog). Resolves when they're ready,
+   * or when the catalog failed to load
+   */
+  startOptics() {
+    this.catalogLoading = this.loadCatalog().then(isLoaded => {
+      this.catalogLoading = null;
+      if (!isLoaded || !this.isConnected) return;
+
+      this.initializeOptics(this.initialContext);
+    });
+
+    return this.catalogLoading;
+  }
+
+  /**
+   * Load the optic brands and models, with the accessories they recommend, from the optic catalog
+   * shared with the sizing charts (see optic-catalog.js). The optic step shows a loading state meanwhile,
+   * or an error when it fails, the other steps don't need the catalog. Returns whether it was loaded
+   */
+  async loadCatalog() {
+    const opticStep = this.querySelector('[data-step="optics"]');
+    const loadingEl = this.querySelector('[data-optics-loading]');
+    opticStep?.setAttribute('aria-busy', 'true');
+    if (loadingEl) {
+      loadingEl.textContent = this.t('sizingChartLoading');
+      loadingEl.hidden = false;
+    }
+
+    try {
+      const catalog = await window.opticCatalog.load();
+      this.data.opticBrands = catalog.brands;
+      this.data.opticModels = catalog.models;
+      if (this.isRecommendingAccessories()) {
+        this.data.relatedAccessories = [...this.data.relatedAccessories, ...catalog.accessories];
+      }
+    } catch (e) {
+      console.error('System Builder: Unable to load the optic catalog', e);
+
+      // The optic step stays blocked until it's loaded, see isInLoadingOpticStep
+      if (loadingEl) loadingEl.textContent = this.t('sizingChartLoadError');
+      return false;
+    }
+
+    opticStep?.removeAttribute('aria-busy');
+    if (loadingEl) loadingEl.hidden = true;
+    return true;
+  }
+
+  /**
+   * Check whether an event comes from the optic step while the optic catalog isn't loaded.
+   * A catalog that failed to load is loaded again
+   */
+  isInLoadingOpticStep(target) {
+    if (this.isCatalogLoaded || !target.closest('[data-step="optics"]')) return false;
+
+    if (!this.catalogLoading) {
+      this.ready = this.startOptics();
+    }
+    return true;
+  }
+
   /**
    * Bind event listeners
    */
   bindEvents() {
     // Delegate click events
     this.addEventListener('click', (e) => {
+      if (this.isInLoadingOpticStep(e.target)) return;
+
       const chip = e.target.closest('[data-chip]');
       if (chip) {
         this.handleChipClick(chip);
@@ -109,20 +294,149 @@ class SystemBuilder extends HTMLElement {
       // Add optic configuration button
       const addOpticBtn = e.target.closest('[data-add-optic]');
       if (addOpticBtn) {
-        this.addOpticConfiguration();
+        const configId = this.addOpticConfiguration();
+        if (configId != null) this.trackEvent('config-added', { configType: 'optic', configId });
+      }
+
+      // Duplicate optic configuration button
+      const duplicateOpticBtn = e.target.closest('[data-duplicate-optic]');
+      if (duplicateOpticBtn) {
+        const sourceConfigId = duplicateOpticBtn.dataset.duplicateOptic;
+        const configId = this.duplicateOpticConfiguration(sourceConfigId);
+        if (configId != null) {
+          this.trackEvent('config-added', { configType: 'optic', configId, duplicateOf: sourceConfigId });
+        }
       }
 
       // Remove optic configuration button
       const removeOpticBtn = e.target.closest('[data-remove-optic]');
       if (removeOpticBtn) {
         const configId = removeOpticBtn.dataset.removeOptic;
-        this.removeOpticConfiguration(configId);
+        if (this.removeOpticConfiguration(configId)) {
+          this.trackEvent('config-removed', { configType: 'optic', configId });
+          this.showUndoToast(this.t('systemBuilderOpticRemoved'));
+        }
+      }
+
+      // Add phone configuration button
+      if (e.target.closest('[data-add-phone]')) {
+        const phoneConfigId = this.addPhoneConfiguration();
+        if (phoneConfigId != null) this.trackEvent('config-added', { configType: 'phone', configId: phoneConfigId });
+      }
+
+      // Remove phone configuration button
+      const removePhoneBtn = e.target.closest('[data-remove-phone]');
+      if (removePhoneBtn) {
+        const phoneConfigId = removePhoneBtn.dataset.removePhone;
+        if (this.removePhoneConfiguration(phoneConfigId)) {
+          this.trackEvent('config-removed', { configType: 'phone', configId: phoneConfigId });
+          this.showUndoToast(this.t('systemBuilderPhoneRemoved'));
+        }
+      }
+
+      // Start over button
+      const startOverBtn = e.target.closest('[data-start-over]');
+      if (startOverBtn) {
+        this.startOver();
+      }
+
+      // Build sheet export
+      if (e.target.closest('[data-export-print]')) {
+        this.printBuildSheet();
+      }
+
+      const exportCopyBtn = e.target.closest('[data-export-copy]');
+      if (exportCopyBtn) {
+        this.copyBuildSheet(exportCopyBtn);
+      }
+
+      if (e.target.closest('[data-export-csv]')) {
+        this.downloadBuildSheetCsv();
+      }
+
+      // Wizard navigation
+      if (e.target.closest('[data-wizard-next]')) {
+        this.handleWizardNext();
+      }
+
+      if (e.target.closest('[data-wizard-back]')) {
+        this.handleWizardBack();
+      }
+
+      if (e.target.closest('[data-wizard-skip]')) {
+        this.handleWizardSkip();
+      }
+
+      const wizardGotoBtn = e.target.closest('[data-wizard-goto]');
+      if (wizardGotoBtn) {
+        this.goToWizardStep(wizardGotoBtn.dataset.wizardGoto);
+      }
+
+      // Brand and model search
+      const searchOption = e.target.closest('[data-search-option]');
+      if (searchOption) {
+        this.selectSearchOption(searchOption);
+      }
+
+      // Undo toast
+      if (e.target.closest('[data-undo]')) {
+        this.undo();
+      }
+    });
+
+    this.addEventListener('input', (e) => {
+      if (this.isInLoadingOpticStep(e.target)) return;
+
+      const searchInput = e.target.closest('[data-search-input]');
+      if (searchInput) {
+        this.handleSearchInput(searchInput);
+      }
+    });
+
+    // Keep the focus in the search input while an option is clicked
+    this.addEventListener('mousedown', (e) => {
+      if (e.target.closest('[data-search-option]')) {
+        e.preventDefault();
+      }
+    });
+
+    this.addEventListener('focusout', (e) => {
+      const search = e.target.closest('[data-search]');
+      if (search && !search.contains(e.relatedTarget)) {
+        this.closeSearchResults(search);
       }
+    });
 
+    // "My optic isn't listed": sizes matched from a measured eyepiece diameter
+    this.addEventListener('optic-fit:change', (e) => {
+      const opticConfig = e.target.closest('[data-optic-config]');
+      if (opticConfig) {
+        this.handleOpticFit(opticConfig.dataset.opticConfig, e.detail);
+      }
     });
 
-    // Keyboard support for product cards
+    // Keyboard support for product cards and search results
     this.addEventListener('keydown', (e) => {
+      if (this.isInLoadingOpticStep(e.target)) return;
+
+      const searchInput = e.target.closest('[data-search-input]');
+      if (searchInput) {
+        this.handleSearchKeydown(e, searchInput);
+        return;
+      }
+
+      // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z, text fields keep their own undo
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z'
+        && !e.target.closest('input, textarea, select, [contenteditable]')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+        return;
+      }
+
       if (e.key === 'Enter' || e.key === ' ') {
         const productCard = e.target.closest('[data-product-card]');
         if (productCard) {
@@ -134,7 +448,8 @@ class SystemBuilder extends HTMLElement {
   }
 
   /**
-   * Initialize state
+   * Initialize state. The optics of the restored build wait for the optic catalog (see restoreState),
+   * returns the initial and shared states for initializeOptics
    */
   initializeState() {
     // Initialize first optic configuration (config ID 0 from Liquid template)
@@ -142,14 +457,20 @@ class SystemBuilder extends HTMLElement {
       id: '0',
       opticBrand: null,
       opticModel: null,
+      eyepieceDiameter: null,
       ringMount: [],
       magRing: []
     });
 
+    // Initialize first phone configuration (config ID 0 from Liquid template)
+    this.phoneConfigs.push({
+      id: '0',
+      phoneBrand: null,
+      phoneModel: null,
+      phoneCase: null
+    });
+
     // Show empty state messages if no data
-    if (this.data.opticBrands.length === 0) {
-      console.warn('System Builder: No optic brands found.');
-    }
     if (this.data.phoneBrands.length === 0) {
       console.warn('System Builder: No phone brands found.');
     }
@@ -161,15 +482,359 @@ class SystemBuilder extends HTMLElement {
     }
 
     // Display accessories if configured
-    if (this.data.accessories.length > 0) {
-      this.displayAccessories();
-    }
+    this.displayAccessories();
 
-    // Update add optic button visibility
+    // Update add optic and add phone button visibility
     this.updateAddOpticButtonVisibility();
+    this.updatePhoneConfigsUi();
+
+    // Reopen a shared configuration (e.g. /pages/build?cfg=...), falling back to the saved session
+    const sharedState = this.readStateFromUrl();
+    const initialState = sharedState || this.readSession()?.state;
+    if (initialState) {
+      this.restoreState(initialState);
+    }
+
+    this.editingBuildId = new URL(window.location.href).searchParams.get(this.BUILD_URL_PARAM);
 
     // Initialize summary
     this.updateSummary();
+
+    // Re-check stock whenever the summary comes into view
+    const summary = this.querySelector('[data-summary]');
+    if (summary && 'IntersectionObserver' in window) {
+      this.summaryObserver = new IntersectionObserver(this.handleSummaryVisible.bind(this));
+      this.summaryObserver.observe(summary);
+    }
+
+    // A shared configuration opens on its review
+    this.isWizard = this.dataset.layout === 'wizard';
+    if (this.isWizard) {
+      this.initializeWizard(sharedState && !this.isEmptyState(this.serializeState()) ? 'review' : null);
+    }
+
+    return { sharedState, initialState };
+  }
+
+  /**
+   * Start the optic steps once the optic catalog is loaded: restore the optics of the build, then apply
+   * the page context and the customer's optic
+   */
+  initializeOptics({ sharedState, initialState }) {
+    const pendingOptics = this.pendingOptics;
+    this.isCatalogLoaded = true;
+    this.pendingOptics = null;
+
+    if (this.data.opticBrands.length === 0) {
+      console.warn('System Builder: No optic brands found.');
+    }
+
+    if (pendingOptics) {
+      this.restoreState({ v: this.STATE_VERSION, o: pendingOptics });
+    }
+
+    // Accessories recommended by the restored optic models are displayed now
+    this.applyPendingAccessories();
+
+    // A shared configuration already carries its diameters and optics
+    if (!sharedState) {
+      this.applyDiameterFromUrl();
+      this.applyPreselection();
+    }
+
+    // A new build without any page context starts from the customer's optic
+    if (!initialState) {
+      this.applyGearProfile();
+    }
+
+    // Unless the build has changed meanwhile, the completed state is where the undo history starts
+    if (this.undoStack.length === 0) {
+      this.historyState = null;
+    }
+
+    this.updateSummary();
+  }
+
+  /**
+   * Match the eyepiece diameter from the URL in the first empty optic config (or a new one)
+   */
+  applyDiameterFromUrl() {
+    const diameter = parseFloat(new URL(window.location.href).searchParams.get(this.DIAMETER_URL_PARAM));
+    if (!Number.isFinite(diameter) || diameter <= 0) return;
+
+    const configId = this.getEmptyOpticConfigId();
+    const fitFinder = configId != null ? this.querySelector(`[data-optic-config="${configId}"] optic-fit-finder`) : null;
+    fitFinder?.setDiameter?.(diameter);
+
+    // The diameter is part of the configuration from now on
+    if (window.history?.replaceState) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete(this.DIAMETER_URL_PARAM);
+      window.history.replaceState(window.history.state, '', url.href);
+    }
+  }
+
+  /**
+   * Preselect the optic of the page context in the first empty optic config (config 0 of a new build),
+   * and pre-check the adapter. Skipped when the build already holds that optic (e.g. a restored session)
+   */
+  applyPreselection() {
+    const url = new URL(window.location.href);
+    const hasUrlContext = url.searchParams.has(this.BRAND_URL_PARAM) || url.searchParams.has(this.MODEL_URL_PARAM);
+    const brand = (hasUrlContext ? url.searchParams.get(this.BRAND_URL_PARAM) : this.dataset.preselectBrand) || null;
+    const model = (hasUrlContext ? url.searchParams.get(this.MODEL_URL_PARAM) : this.dataset.preselectModel) || null;
+
+    // The optic is part of the configuration from now on
+    if (hasUrlContext && window.history?.replaceState) {
+      url.searchParams.delete(this.BRAND_URL_PARAM);
+      url.searchParams.delete(this.MODEL_URL_PARAM);
+      window.history.replaceState(window.history.state, '', url.href);
+    }
+
+    if (!brand && !model) return;
+
+    const brandHandle = brand || this.data.opticModels.find(m => m.handle === model)?.brandHandle;
+    const isSelected = this.opticConfigs.some(config => (
+      config.opticBrand === brandHandle && (!model || config.opticModel === model)
+    ));
+    if (isSelected) return;
+
+    this.isRestoring = true;
+    try {
+      // An unknown model still scopes the builder to the brand
+      let configId = this.selectOptic(brand, model);
+      if (configId == null && brand && model) {
+        configId = this.selectOptic(brand);
+      }
+
+      const adapter = this.data.adapterProduct;
+      if (configId != null && adapter && this.dataset.preselectAdapter !== undefined
+        && !this.selectedProducts[this.getSelectionKey(adapter.id)]) {
+        this.addVariant(adapter.id);
+      }
+    } finally {
+      this.isRestoring = false;
+    }
+  }
+
+  /**
+   * Preselect the customer's optic (My Gear, see my-gear.js) in config 0 of a build without any optic
+   */
+  applyGearProfile() {
+    const optic = window.myGear.getOptic();
+    if (!optic || this.opticConfigs.some(config => config.opticBrand || config.eyepieceDiameter)) return;
+
+    this.isRestoring = true;
+    try {
+      this.selectOptic(optic.brand, optic.model);
+    } finally {
+      this.isRestoring = false;
+    }
+  }
+
+  /**
+   * Select an optic by brand and model handles. The brand may be omitted (null) when a model is given.
+   * Without a config ID, the first empty optic config is used (or a new one).
+   * Returns the config ID, or null when the optic could not be selected
+   */
+  selectOptic(brand, model = null, configId = null) {
+    const modelData = model ? this.data.opticModels.find(m => m.handle === model) : null;
+    const brandHandle = brand || modelData?.brandHandle;
+
+    if (!this.data.opticBrands.some(b => b.handle === brandHandle)) {
+      console.warn(`System Builder: Unknown optic brand "${brandHandle}"`);
+      return null;
+    }
+
+    if (model && modelData?.brandHandle !== brandHandle) {
+      console.warn(`System Builder: Unknown optic model "${model}" for brand "${brandHandle}"`);
+      return null;
+    }
+
+    const targetId = configId != null ? String(configId) : this.getEmptyOpticConfigId();
+    const config = targetId != null ? this.getOpticConfig(targetId) : null;
+    const configEl = config ? this.querySelector(`[data-optic-config="${targetId}"]`) : null;
+    if (!configEl) return null;
+
+    if (config.opticBrand !== brandHandle) {
+      this.selectChip(configEl, 'optic-brand', brandHandle);
+    }
+
+    if (model && config.opticModel !== model) {
+      this.selectChip(configEl, 'optic-model', model);
+    }
+
+    return targetId;
+  }
+
+  /**
+   * Select a phone by brand and model handles. The brand may be omitted (null) when a model is given.
+   * Without a phone config ID, the first phone config without a phone is used (or a new one).
+   * Returns the phone config ID, or null when the phone could not be selected
+   */
+  selectPhone(brand, model = null, phoneConfigId = null) {
+    const modelData = model ? this.data.phoneModels.find(m => m.handle === model) : null;
+    const brandHandle = brand || modelData?.brandHandle;
+
+    if (!this.data.phoneBrands.some(b => b.handle === brandHandle)) {
+      console.warn(`System Builder: Unknown phone brand "${brandHandle}"`);
+      return null;
+    }
+
+    if (model && modelData?.brandHandle !== brandHandle) {
+      console.warn(`System Builder: Unknown phone model "${model}" for brand "${brandHandle}"`);
+      return null;
+    }
+
+    let targetId = phoneConfigId != null ? String(phoneConfigId) : null;
+    if (targetId === null) {
+      const emptyConfig = this.phoneConfigs.find(config => !config.phoneBrand);
+      targetId = emptyConfig ? emptyConfig.id : this.addPhoneConfiguration();
+    }
+
+    const config = targetId != null ? this.getPhoneConfig(targetId) : null;
+    const configEl = config ? this.querySelector(`[data-phone-config="${targetId}"]`) : null;
+    if (!configEl) return null;
+
+    if (config.phoneBrand !== brandHandle) {
+      this.selectChip(configEl, 'phone-brand', brandHandle);
+    }
+
+    if (model && config.phoneModel !== model) {
+      this.selectChip(configEl, 'phone-model', model);
+    }
+
+    return targetId;
+  }
+
+  /**
+   * Add a variant shown in the builder (adapter, accessory, or the ring mount, mag ring or phone case
+   * of a selected optic or phone) to the build, or increase its quantity if it is already selected.
+   * configId or phoneConfigId picks the optic or phone config the variant is added to.
+   * Returns whether the variant was added
+   */
+  addVariant(variantId, quantity = 1, { configId = null, phoneConfigId = null } = {}) {
+    const amount = Math.max(1, parseInt(quantity, 10) || 1);
+    let scope = this;
+
+    if (configId != null) {
+      scope = this.querySelector(`[data-optic-config="${CSS.escape(String(configId))}"]`);
+    } else if (phoneConfigId != null) {
+      scope = this.querySelector(`[data-phone-config="${CSS.escape(String(phoneConfigId))}"]`);
+    }
+
+    const card = scope?.querySelector(`[data-product-card][data-variant-id="${CSS.escape(String(variantId))}"]`);
+
+    if (!card) {
+      console.warn(`System Builder: Variant ${variantId} is not available in the builder`);
+      return false;
+    }
+
+    const { selectionKey } = this.getCardSelection(card);
+    const selected = this.selectedProducts[selectionKey];
+
+    if (selected) {
+      selected.quantity = (selected.quantity || 1) + amount;
+      this.updateSummary();
+      return true;
+    }
+
+    // Unavailable or incompatible products are left out, as when clicked
+    this.handleProductCardClick(card);
+
+    const product = this.selectedProducts[selectionKey];
+    if (!product) return false;
+
+    if (amount > 1) {
+      product.quantity = amount;
+      this.updateSummary();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the current build: optic and phone configurations, selected items and totals (in cents)
+   */
+  getState() {
+    const items = this.getOrderedSelections().map(([selectionKey, product]) => ({
+      key: selectionKey,
+      variantId: product.id,
+      title: this.getProductDisplayTitle(product),
+      productType: product.productType,
+      configId: product.configId ?? product.phoneConfigId ?? null,
+      price: product.price,
+      quantity: product.quantity || 1
+    }));
+
+    const subtotal = items.reduce((total, item) => total + (item.price || 0) * item.quantity, 0);
+    const bundle = this.getBundleDiscount();
+    const discount = bundle ? bundle.savings : 0;
+
+    return {
+      optics: this.opticConfigs.map(config => ({
+        configId: config.id,
+        brand: config.opticBrand,
+        model: config.opticModel,
+        eyepieceDiameter: config.eyepieceDiameter
+      })),
+      phones: this.phoneConfigs.map(config => ({
+        configId: config.id,
+        brand: config.phoneBrand,
+        model: config.phoneModel
+      })),
+      items,
+      itemCount: items.reduce((total, item) => total + item.quantity, 0),
+      subtotal,
+      discount,
+      bundle: bundle ? bundle.rule.title : null,
+      total: subtotal - discount,
+      currency: this.currency
+    };
+  }
+
+  /**
+   * Clear the build, its saved session and the system being edited
+   */
+  reset() {
+    this.isRestoring = true;
+    try {
+      this.resetBuilder();
+    } finally {
+      this.isRestoring = false;
+    }
+
+    this.clearSession();
+    this.clearEditingBuild();
+    this.updateSummary();
+
+    if (this.isWizard) {
+      this.goToWizardStep(this.wizardSteps[0]);
+    }
+  }
+
+  /**
+   * Dispatch "system-builder:change" with the current state, when it differs from the last one dispatched.
+   * Intermediate states while restoring are skipped
+   */
+  dispatchChange() {
+    if (this.isRestoring) return;
+
+    const state = this.getState();
+    const stateJson = JSON.stringify(state);
+    if (stateJson === this.lastChangeJson) return;
+
+    this.lastChangeJson = stateJson;
+    this.dispatchEvent(new CustomEvent('system-builder:change', { bubbles: true, detail: { state } }));
+  }
+
+  /**
+   * Get the first optic config without any optic, or add one.
+   * Returns null when the limit of optic configs is reached
+   */
+  getEmptyOpticConfigId() {
+    const emptyConfig = this.opticConfigs.find(config => !config.opticBrand && !config.opticModel && !config.eyepieceDiameter);
+    return emptyConfig ? emptyConfig.id : this.addOpticConfiguration();
   }
 
   /**
@@ -181,11 +846,12 @@ class SystemBuilder extends HTMLElement {
 
   /**
    * Add a new optic configuration
+   * Returns the new config ID, or null if it could not be created
    */
   addOpticConfiguration() {
     if (this.opticConfigs.length >= this.MAX_OPTIC_CONFIGS) {
       console.warn('System Builder: Maximum optic configurations reached');
-      return;
+      return null;
     }
 
     const configId = String(this.nextOpticConfigId++);
@@ -193,6 +859,7 @@ class SystemBuilder extends HTMLElement {
       id: configId,
       opticBrand: null,
       opticModel: null,
+      eyepieceDiameter: null,
       ringMount: [],
       magRing: []
     };
@@ -203,7 +870,7 @@ class SystemBuilder extends HTMLElement {
     const firstConfig = this.querySelector('[data-optic-config="0"]');
     const configsContainer = this.querySelector('[data-optic-configs]');
 
-    if (!firstConfig || !configsContainer) return;
+    if (!firstConfig || !configsContainer) return null;
 
     const newConfigEl = firstConfig.cloneNode(true);
     newConfigEl.dataset.opticConfig = configId;
@@ -216,6 +883,9 @@ class SystemBuilder extends HTMLElement {
     newConfigEl.querySelectorAll('[data-optic-content]').forEach(el => {
       el.dataset.opticContent = configId;
     });
+    newConfigEl.querySelectorAll('[data-duplicate-optic]').forEach(el => {
+      el.dataset.duplicateOptic = configId;
+    });
 
     // Reset the cloned config's state
     // Clear chip selections
@@ -237,7 +907,7 @@ class SystemBuilder extends HTMLElement {
       el.hidden = true;
       const productDisplay = el.querySelector('[data-product]');
       if (productDisplay) {
-        productDisplay.innerHTML = '<p class="system-builder__placeholder">Select your optic to see compatible products.</p>';
+        productDisplay.innerHTML = `<p class="system-builder__placeholder">${this.t('systemBuilderOpticProductsPlaceholder')}</p>`;
       }
     });
 
@@ -253,30 +923,68 @@ class SystemBuilder extends HTMLElement {
     const notice = newConfigEl.querySelector('[data-model-notice]');
     if (notice) notice.hidden = true;
 
+    // Clear the search
+    newConfigEl.querySelectorAll('[data-search]').forEach(search => this.resetSearch(search));
+
     configsContainer.appendChild(newConfigEl);
 
+    // The cloned fit finder carries the first config's measurement
+    newConfigEl.querySelector('optic-fit-finder')?.reset?.();
+
     // Update add button visibility
     this.updateAddOpticButtonVisibility();
+
+    return configId;
+  }
+
+  /**
+   * Duplicate an optic configuration (brand, model or eyepiece diameter, selected variants and quantities)
+   * into a new config placed right after it.
+   * Returns the new config ID, or null if it could not be created
+   */
+  duplicateOpticConfiguration(configId) {
+    const sourceConfig = this.getOpticConfig(configId);
+    const sourceEl = this.querySelector(`[data-optic-config="${configId}"]`);
+    if (!sourceConfig || !sourceEl) return null;
+
+    const opticSnapshot = this.serializeOpticConfig(sourceConfig);
+
+    const newConfigId = this.addOpticConfiguration();
+    if (newConfigId == null) return null;
+
+    // Keep the copy next to its original
+    const newConfig = this.getOpticConfig(newConfigId);
+    const newConfigEl = this.querySelector(`[data-optic-config="${newConfigId}"]`);
+    this.opticConfigs.splice(this.opticConfigs.indexOf(newConfig), 1);
+    this.opticConfigs.splice(this.opticConfigs.indexOf(sourceConfig) + 1, 0, newConfig);
+    sourceEl.after(newConfigEl);
+
+    // Replay the selections so the copy is rendered and edited independently
+    const wasRestoring = this.isRestoring;
+    this.isRestoring = true;
+    try {
+      this.restoreOpticConfig(newConfigId, opticSnapshot);
+    } finally {
+      this.isRestoring = wasRestoring;
+    }
+
+    this.updateSummary();
+
+    return newConfigId;
   }
 
   /**
-   * Remove an optic configuration
+   * Remove an optic configuration. Returns whether it was removed
    */
   removeOpticConfiguration(configId) {
     const configIndex = this.opticConfigs.findIndex(c => c.id === String(configId));
-    if (configIndex === -1) return;
+    if (configIndex === -1) return false;
 
     // Don't allow removing the first configuration
-    if (configId === '0' && this.opticConfigs.length === 1) return;
+    if (configId === '0' && this.opticConfigs.length === 1) return false;
 
     // Remove any selected products from this config
-    const config = this.opticConfigs[configIndex];
-    if (Array.isArray(config.ringMount)) {
-      config.ringMount.forEach(v => { if (v?.id) delete this.selectedProducts[v.id]; });
-    }
-    if (Array.isArray(config.magRing)) {
-      config.magRing.forEach(v => { if (v?.id) delete this.selectedProducts[v.id]; });
-    }
+    this.removeConfigSelections(configId);
 
     // Remove from array
     this.opticConfigs.splice(configIndex, 1);
@@ -292,146 +1000,338 @@ class SystemBuilder extends HTMLElement {
 
     // Update summary
     this.updateSummary();
+    return true;
   }
 
   /**
    * Update add optic button visibility based on limit
    */
   updateAddOpticButtonVisibility() {
+    const isAtLimit = this.opticConfigs.length >= this.MAX_OPTIC_CONFIGS;
+
     const addBtn = this.querySelector('[data-add-optic]');
     if (addBtn) {
-      addBtn.hidden = this.opticConfigs.length >= this.MAX_OPTIC_CONFIGS;
+      addBtn.hidden = isAtLimit;
     }
+
+    this.querySelectorAll('[data-duplicate-optic]').forEach(btn => {
+      btn.hidden = isAtLimit;
+    });
   }
 
   /**
-   * Handle remove button click in summary
+   * Get phone configuration by ID
    */
-  handleRemoveFromSummary(button) {
-    const variantId = button.dataset.summaryRemove;
-    if (!variantId || !this.selectedProducts[variantId]) return;
-
-    delete this.selectedProducts[variantId];
-
-    // Update all product cards with this variant ID
-    this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
-      card.classList.remove('system-builder__product-card--selected');
-      card.setAttribute('aria-pressed', 'false');
-    });
-
-    this.updateSummary();
+  getPhoneConfig(phoneConfigId) {
+    return this.phoneConfigs.find(c => c.id === String(phoneConfigId));
   }
 
   /**
-   * Handle quantity change in summary
+   * Add a new phone configuration
+   * Returns the new phone config ID, or null if it could not be created
    */
-  handleQuantityChange(variantId, delta) {
-    if (!variantId || !this.selectedProducts[variantId]) return;
-
-    const product = this.selectedProducts[variantId];
-    const newQuantity = (product.quantity || 1) + delta;
-
-    if (newQuantity <= 0) {
-      delete this.selectedProducts[variantId];
-
-      this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
-        card.classList.remove('system-builder__product-card--selected');
-        card.setAttribute('aria-pressed', 'false');
-      });
-    } else {
-      product.quantity = newQuantity;
+  addPhoneConfiguration() {
+    if (this.phoneConfigs.length >= this.MAX_PHONE_CONFIGS) {
+      console.warn('System Builder: Maximum phone configurations reached');
+      return null;
     }
 
-    this.updateSummary();
-  }
+    // Create new phone config element by cloning the first one
+    const firstConfig = this.querySelector('[data-phone-config="0"]');
+    const configsContainer = this.querySelector('[data-phone-configs]');
+
+    if (!firstConfig || !configsContainer) return null;
+
+    const phoneConfigId = String(this.nextPhoneConfigId++);
+    this.phoneConfigs.push({
+      id: phoneConfigId,
+      phoneBrand: null,
+      phoneModel: null,
+      phoneCase: null
+    });
+
+    const newConfigEl = firstConfig.cloneNode(true);
+    newConfigEl.dataset.phoneConfig = phoneConfigId;
+
+    newConfigEl.querySelectorAll('[data-remove-phone]').forEach(el => {
+      el.dataset.removePhone = phoneConfigId;
+      el.hidden = false; // Show remove button for new configs
+    });
+
+    // Reset the cloned config's state
+    this.resetChips(newConfigEl.querySelector('[data-chips="phone-brand"]'));
+    this.hideModelField(newConfigEl.querySelector('[data-field="phone-model"]'));
+
+    const phoneCaseDisplay = newConfigEl.querySelector('[data-product="phone-case"]');
+    if (phoneCaseDisplay) {
+      phoneCaseDisplay.hidden = true;
+      phoneCaseDisplay.innerHTML = '';
+    }
+
+    newConfigEl.querySelectorAll('[data-search]').forEach(search => this.resetSearch(search));
+
+    configsContainer.appendChild(newConfigEl);
+
+    this.updatePhoneConfigsUi();
+
+    return phoneConfigId;
+  }
 
   /**
-   * Handle product card click
+   * Remove a phone configuration. Returns whether it was removed
    */
-  handleProductCardClick(card) {
-    const productType = card.dataset.productType;
-    if (!productType) return;
+  removePhoneConfiguration(phoneConfigId) {
+    const configIndex = this.phoneConfigs.findIndex(c => c.id === String(phoneConfigId));
+    if (configIndex === -1) return false;
 
-    const isAvailable = card.dataset.available !== 'false';
-    const isBackorder = card.dataset.backorder === 'true';
-    if (!isAvailable && !isBackorder) return;
+    // Don't allow removing the first configuration
+    if (String(phoneConfigId) === '0') return false;
 
-    const variantId = card.dataset.variantId;
-    if (!variantId) return;
+    this.removePhoneConfigSelections(phoneConfigId);
+    this.phoneConfigs.splice(configIndex, 1);
+    this.querySelector(`[data-phone-config="${phoneConfigId}"]`)?.remove();
 
-    // Get the config ID this card belongs to (if it's an optic product)
-    const opticConfig = card.closest('[data-optic-config]');
-    const configId = opticConfig ? opticConfig.dataset.opticConfig : null;
+    this.updatePhoneConfigsUi();
+    this.updateSummary();
+    return true;
+  }
+
+  /**
+   * Number the phone configs (only once there are several) and hide the add button at the limit
+   */
+  updatePhoneConfigsUi() {
+    const hasSeveralPhones = this.phoneConfigs.length > 1;
+
+    this.phoneConfigs.forEach((config, index) => {
+      const configEl = this.querySelector(`[data-phone-config="${config.id}"]`);
+      if (!configEl) return;
+
+      const header = configEl.querySelector('[data-phone-config-header]');
+      if (header) header.hidden = !hasSeveralPhones;
+
+      const title = configEl.querySelector('[data-phone-config-title]');
+      if (title) title.textContent = this.t('systemBuilderPhoneTitle', { number: index + 1 });
+    });
+
+    const addBtn = this.querySelector('[data-add-phone]');
+    if (addBtn) {
+      addBtn.hidden = this.phoneConfigs.length >= this.MAX_PHONE_CONFIGS;
+    }
+  }
+
+  /**
+   * Get the key a product is selected under.
+   * Optic products are keyed per optic config so the same variant can be chosen for several optics,
+   * phone cases per phone config (see getPhoneSelectionKey).
+   */
+  getSelectionKey(variantId, configId = null) {
+    return configId !== null && configId !== undefined ? `${variantId}:${configId}` : String(variantId);
+  }
+
+  /**
+   * Get the key a phone case is selected under for a phone config
+   */
+  getPhoneSelectionKey(variantId, phoneConfigId) {
+    return `${variantId}:phone-${phoneConfigId}`;
+  }
+
+  /**
+   * Get the product cards that represent a selection
+   */
+  getCardsForSelection(selectionKey) {
+    const product = this.selectedProducts[selectionKey];
+    const variantId = product ? String(product.id) : selectionKey;
+    const configId = product?.configId ?? null;
+    const phoneConfigId = product?.phoneConfigId ?? null;
+
+    return Array.from(this.querySelectorAll(`[data-product-card][data-variant-id="${CSS.escape(variantId)}"]`))
+      .filter(card => (card.closest('[data-optic-config]')?.dataset.opticConfig ?? null) === configId)
+      .filter(card => (card.closest('[data-phone-config]')?.dataset.phoneConfig ?? null) === phoneConfigId);
+  }
+
+  /**
+   * Remove a selection and deselect its cards
+   */
+  deselectProduct(selectionKey) {
+    this.getCardsForSelection(selectionKey).forEach(card => {
+      card.classList.remove('system-builder__product-card--selected');
+      card.setAttribute('aria-pressed', 'false');
+    });
+
+    delete this.selectedProducts[selectionKey];
+  }
+
+  /**
+   * Remove every selection belonging to an optic config
+   */
+  removeConfigSelections(configId) {
+    Object.keys(this.selectedProducts).forEach(selectionKey => {
+      if (this.selectedProducts[selectionKey]?.configId === String(configId)) {
+        delete this.selectedProducts[selectionKey];
+      }
+    });
+  }
+
+  /**
+   * Remove the selected case of a phone config
+   */
+  removePhoneConfigSelections(phoneConfigId) {
+    Object.keys(this.selectedProducts).forEach(selectionKey => {
+      if (this.selectedProducts[selectionKey]?.phoneConfigId === String(phoneConfigId)) {
+        delete this.selectedProducts[selectionKey];
+      }
+    });
+  }
+
+  /**
+   * Handle remove button click in summary
+   */
+  handleRemoveFromSummary(button) {
+    const selectionKey = button.dataset.summaryRemove;
+    const product = this.selectedProducts[selectionKey];
+    if (!selectionKey || !product) return;
+
+    this.deselectProduct(selectionKey);
+    this.trackEvent('quantity-changed', {
+      ...this.getAnalyticsProduct(product),
+      quantity: 0,
+      previousQuantity: product.quantity || 1
+    });
+
+    this.updateSummary();
+    this.showUndoToast(this.t('systemBuilderHistoryItemRemoved', { title: this.getProductDisplayTitle(product) }));
+  }
+
+  /**
+   * Handle quantity change in summary
+   */
+  handleQuantityChange(selectionKey, delta) {
+    if (!selectionKey || !this.selectedProducts[selectionKey]) return;
+
+    const product = this.selectedProducts[selectionKey];
+    const previousQuantity = product.quantity || 1;
+    const newQuantity = previousQuantity + delta;
+
+    if (newQuantity <= 0) {
+      this.deselectProduct(selectionKey);
+    } else {
+      product.quantity = newQuantity;
+    }
+
+    this.trackEvent('quantity-changed', {
+      ...this.getAnalyticsProduct(product),
+      quantity: Math.max(newQuantity, 0),
+      previousQuantity
+    });
+
+    this.updateSummary();
+
+    if (newQuantity <= 0) {
+      this.showUndoToast(this.t('systemBuilderHistoryItemRemoved', { title: this.getProductDisplayTitle(product) }));
+    }
+  }
+
+  /**
+   * Get the variant data a product card was rendered from
+   */
+  getCardProductData(card) {
+    const productType = card.dataset.productType;
+    const variantId = card.dataset.variantId;
 
     // Map product type to state key
     const stateKeyMap = {
       'ring-mount': 'ringMount',
       'mag-ring': 'magRing',
-      'adapter': 'adapter',
-      'phone-case': 'phoneCase'
+      'adapter': 'adapter'
     };
 
-    // Get product data from the appropriate source
-    let productData = null;
+    if (productType === 'phone-case') {
+      const phoneConfig = card.closest('[data-phone-config]');
+      return (phoneConfig && this.getPhoneConfig(phoneConfig.dataset.phoneConfig)?.phoneCase) || null;
+    }
+
     if (productType === 'accessory') {
       // Find accessory data from loaded accessories
-      productData = this.data.accessories.find(a => String(a.id) === String(variantId));
-    } else {
-      const stateKey = stateKeyMap[productType];
-      if (!stateKey) return;
-
-      if (configId !== null && (productType === 'ring-mount' || productType === 'mag-ring')) {
-        const config = this.getOpticConfig(configId);
-        if (config) {
-          const variants = config[stateKey];
-          if (Array.isArray(variants)) {
-            productData = variants.find(v => String(v.id) === String(variantId));
-          } else {
-            productData = variants;
-          }
-        }
-      } else {
-        productData = this.state[stateKey];
-      }
+      return this.getAccessories().find(a => String(a.id) === String(variantId)) || null;
     }
 
-    // Use the card's own visual state to determine intent
-    const cardIsSelected = card.classList.contains('system-builder__product-card--selected');
+    const stateKey = stateKeyMap[productType];
+    if (!stateKey) return null;
 
     if (productType === 'ring-mount' || productType === 'mag-ring') {
-      if (cardIsSelected) {
-        // This card is selected — decrement or remove
-        const qty = this.selectedProducts[variantId]?.quantity || 1;
-        if (qty <= 1) {
-          delete this.selectedProducts[variantId];
-        } else {
-          this.selectedProducts[variantId].quantity = qty - 1;
-        }
-      } else {
-        // This card is not selected — add or increment
-        if (this.selectedProducts[variantId]) {
-          this.selectedProducts[variantId].quantity = (this.selectedProducts[variantId].quantity || 1) + 1;
-        } else if (productData) {
-          this.selectedProducts[variantId] = { ...productData, productType, quantity: 1 };
-        }
-      }
-    } else {
-      // All other types: simple toggle
-      if (this.selectedProducts[variantId]) {
-        delete this.selectedProducts[variantId];
-      } else if (productData) {
-        this.selectedProducts[variantId] = { ...productData, productType, quantity: 1 };
-      }
+      const opticConfig = card.closest('[data-optic-config]');
+      const config = opticConfig ? this.getOpticConfig(opticConfig.dataset.opticConfig) : null;
+      const variants = config?.[stateKey];
+
+      return Array.isArray(variants)
+        ? variants.find(v => String(v.id) === String(variantId)) || null
+        : variants || null;
+    }
+
+    return this.state[stateKey] || null;
+  }
+
+  /**
+   * Get the selection key of a product card, with the optic or phone config owning it.
+   * Ring mounts and mag rings are tracked per optic config, phone cases per phone config,
+   * everything else per variant
+   */
+  getCardSelection(card) {
+    const productType = card.dataset.productType;
+    const variantId = card.dataset.variantId;
+
+    const opticConfig = productType === 'ring-mount' || productType === 'mag-ring' ? card.closest('[data-optic-config]') : null;
+    const ownerConfigId = opticConfig ? opticConfig.dataset.opticConfig : null;
+    const phoneConfig = productType === 'phone-case' ? card.closest('[data-phone-config]') : null;
+    const phoneConfigId = phoneConfig ? phoneConfig.dataset.phoneConfig : null;
+    const selectionKey = phoneConfigId !== null
+      ? this.getPhoneSelectionKey(variantId, phoneConfigId)
+      : this.getSelectionKey(variantId, ownerConfigId);
+
+    return { selectionKey, ownerConfigId, phoneConfigId };
+  }
+
+  /**
+   * Handle product card click
+   */
+  handleProductCardClick(card) {
+    const productType = card.dataset.productType;
+    if (!productType) return;
+
+    const isAvailable = card.dataset.available !== 'false';
+    const isBackorder = card.dataset.backorder === 'true';
+    const wasSelected = card.classList.contains('system-builder__product-card--selected');
+
+    // A selected product that has since sold out can still be deselected
+    if (!isAvailable && !isBackorder && !wasSelected) return;
+
+    // Products that can't be combined with the current selection are disabled
+    if (card.dataset.incompatible === 'true' && !wasSelected) return;
+
+    const variantId = card.dataset.variantId;
+    if (!variantId) return;
+
+    const productData = this.getCardProductData(card);
+    const { selectionKey, ownerConfigId, phoneConfigId } = this.getCardSelection(card);
+
+    if (this.selectedProducts[selectionKey]) {
+      delete this.selectedProducts[selectionKey];
+    } else if (productData) {
+      this.selectedProducts[selectionKey] = { ...productData, productType, configId: ownerConfigId, phoneConfigId, quantity: 1 };
     }
 
-    // For ring/mag ring, each card tracks its own state independently of global quantity
-    // For other types, derive from selectedProducts as normal
-    const isSelected = (productType === 'ring-mount' || productType === 'mag-ring')
-      ? !cardIsSelected
-      : !!this.selectedProducts[variantId];
+    const isSelected = !!this.selectedProducts[selectionKey];
     card.classList.toggle('system-builder__product-card--selected', isSelected);
     card.setAttribute('aria-pressed', isSelected);
 
+    if (productData) {
+      this.trackEvent('product-toggled', {
+        ...this.getAnalyticsProduct({ ...productData, productType }),
+        selected: isSelected,
+        configId: ownerConfigId ?? phoneConfigId
+      });
+    }
+
     this.updateSummary();
   }
 
@@ -441,6 +1341,7 @@ class SystemBuilder extends HTMLElement {
   handleChipClick(chip) {
     const field = chip.dataset.field;
     const value = chip.dataset.value;
+    const selectionCount = Object.keys(this.selectedProducts).length;
 
     // Update chip selection state within the same container
     const container = chip.closest('[data-chips]');
@@ -464,8 +1365,10 @@ class SystemBuilder extends HTMLElement {
           if (config) {
             config.opticBrand = value;
             config.opticModel = null;
+            this.clearEyepieceDiameter(configId);
             this.updateOpticModels(configId);
             this.clearOpticProducts(configId);
+            this.trackEvent('brand-selected', { configType: 'optic', configId, brand: value });
           }
         }
         break;
@@ -475,24 +1378,52 @@ class SystemBuilder extends HTMLElement {
           const config = this.getOpticConfig(configId);
           if (config) {
             config.opticModel = value;
+            this.clearEyepieceDiameter(configId);
             this.updateOpticProducts(configId);
+            this.trackEvent('model-selected', { configType: 'optic', configId, brand: config.opticBrand, model: value });
+            if (!this.isRestoring) {
+              window.myGear.setOptic(config.opticBrand, value);
+            }
           }
         }
         break;
 
       case 'phone-brand':
-        this.state.phoneBrand = value;
-        this.state.phoneModel = null;
-        this.updatePhoneModels();
-        break;
+      case 'phone-model': {
+        const phoneConfigEl = chip.closest('[data-phone-config]');
+        const phoneConfig = phoneConfigEl ? this.getPhoneConfig(phoneConfigEl.dataset.phoneConfig) : null;
+        if (!phoneConfig) break;
+
+        // A different phone needs a different case
+        if (field === 'phone-brand' || value !== phoneConfig.phoneModel) {
+          this.removePhoneConfigSelections(phoneConfig.id);
+        }
 
-      case 'phone-model':
-        this.state.phoneModel = value;
-        this.updatePhoneCase();
+        if (field === 'phone-brand') {
+          phoneConfig.phoneBrand = value;
+          phoneConfig.phoneModel = null;
+          this.updatePhoneModels(phoneConfig.id);
+          this.trackEvent('brand-selected', { configType: 'phone', configId: phoneConfig.id, brand: value });
+        } else {
+          phoneConfig.phoneModel = value;
+          this.updatePhoneCase(phoneConfig.id);
+          this.trackEvent('model-selected', {
+            configType: 'phone',
+            configId: phoneConfig.id,
+            brand: phoneConfig.phoneBrand,
+            model: value
+          });
+        }
         break;
+      }
     }
 
     this.updateSummary();
+
+    // Switching brand or model drops the products picked for the previous one
+    if (!this.isRestoring && Object.keys(this.selectedProducts).length < selectionCount) {
+      this.showUndoToast(this.t('systemBuilderHistorySelectionCleared'));
+    }
   }
 
   /**
@@ -522,7 +1453,7 @@ class SystemBuilder extends HTMLElement {
     if (noticeContainer) noticeContainer.hidden = true;
 
     if (filteredModels.length === 0) {
-      modelChipsContainer.innerHTML = '<p class="system-builder__empty-message">No models available for this brand.</p>';
+      modelChipsContainer.innerHTML = `<p class="system-builder__empty-message">${this.t('systemBuilderOpticNoModels')}</p>`;
     } else {
       // Add chips
       filteredModels.forEach(model => {
@@ -566,12 +1497,7 @@ class SystemBuilder extends HTMLElement {
     this.displayModelPreview(configId, modelData);
 
     // Clear previous selections for this config before switching models
-    if (Array.isArray(config.ringMount)) {
-      config.ringMount.forEach(v => { if (v?.id) delete this.selectedProducts[v.id]; });
-    }
-    if (Array.isArray(config.magRing)) {
-      config.magRing.forEach(v => { if (v?.id) delete this.selectedProducts[v.id]; });
-    }
+    this.removeConfigSelections(configId);
 
     // Update ring mount (now an array of variants)
     config.ringMount = modelData.ringMount || [];
@@ -587,6 +1513,44 @@ class SystemBuilder extends HTMLElement {
     });
   }
 
+  /**
+   * Show the sizes matched from a measured eyepiece diameter in place of a model's products
+   */
+  handleOpticFit(configId, fit) {
+    const config = this.getOpticConfig(configId);
+    const configEl = this.querySelector(`[data-optic-config="${configId}"]`);
+    if (!config || !configEl) return;
+
+    // The measurement replaces the model, the brand (if any) is kept
+    config.opticModel = null;
+    config.eyepieceDiameter = fit.diameter;
+    this.resetChips(configEl.querySelector('[data-chips="optic-model"]'));
+
+    const notice = configEl.querySelector('[data-model-notice]');
+    if (notice) notice.hidden = true;
+
+    this.clearOpticProducts(configId);
+
+    config.ringMount = fit.ringMounts || [];
+    this.displayVariantProductInConfig(configId, 'ring-mount', config.ringMount);
+
+    config.magRing = fit.magRings || [];
+    this.displayVariantProductInConfig(configId, 'mag-ring', config.magRing);
+
+    this.updateSummary();
+  }
+
+  /**
+   * Forget the measured eyepiece diameter of a config and collapse its fit finder
+   */
+  clearEyepieceDiameter(configId) {
+    const config = this.getOpticConfig(configId);
+    if (!config?.eyepieceDiameter) return;
+
+    config.eyepieceDiameter = null;
+    this.querySelector(`[data-optic-config="${configId}"] optic-fit-finder`)?.reset?.();
+  }
+
   /**
    * Display model preview for a specific config
    */
@@ -627,40 +1591,21 @@ class SystemBuilder extends HTMLElement {
     const variantList = Array.isArray(variants) ? variants : (variants ? [variants] : []);
 
     if (variantList.length === 0) {
-      displayContainer.innerHTML = '<p class="system-builder__empty-message">No compatible product found.</p>';
+      displayContainer.innerHTML = `<p class="system-builder__empty-message">${this.t('systemBuilderProductNotFound')}</p>`;
       return;
     }
 
     displayContainer.innerHTML = variantList.map(variantData => {
       const imageUrl = variantData.image ? this.getImageUrl(variantData.image, 200) : '';
       const price = this.formatMoney(variantData.price);
-      const displayTitle = variantData.productTitle
-        ? (variantData.title && variantData.title !== 'Default Title'
-            ? `${variantData.productTitle} - ${variantData.title}`
-            : variantData.productTitle)
-        : variantData.title || 'Product';
-
-      const isAvailable = variantData.available !== false;
-      const isBackorder = variantData.inventoryPolicy === 'continue' && variantData.inventoryQuantity <= 0;
-      const isOutOfStock = !isAvailable && !isBackorder;
+      const displayTitle = this.getProductDisplayTitle(variantData);
+
+      const { isAvailable, isBackorder, isOutOfStock } = this.getStockState(variantData);
       const cardClass = isBackorder
         ? ' system-builder__product-card--backorder'
         : isOutOfStock ? ' system-builder__product-card--out-of-stock' : '';
 
-      let backorderBadgeHtml = '';
-      if (isBackorder && variantData.backorderDate) {
-        let badgeDateStr = '';
-        if (variantData.backorderDate) {
-          const parts = String(variantData.backorderDate).split('-').map(Number);
-          const d = parts.length === 3 ? new Date(parts[0], parts[1] - 1, parts[2]) : null;
-          if (d && !isNaN(d)) {
-            badgeDateStr = d.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
-          }
-        }
-        backorderBadgeHtml = '<div class="system-builder__backorder-badge">In Production'
-          + (badgeDateStr ? '<span class="system-builder__backorder-badge-date">' + badgeDateStr + '</span>' : '')
-          + '</div>';
-      }
+      const backorderBadgeHtml = this.getBackorderBadgeHtml(variantData);
 
       return `
         <div class="system-builder__product-card${cardClass}"
@@ -672,12 +1617,12 @@ class SystemBuilder extends HTMLElement {
              role="button"
              tabindex="0"
              aria-pressed="false"
-             aria-label="Add to your system: ${displayTitle}${isBackorder ? ' (Backorder)' : isOutOfStock ? ' (Out of Stock)' : ''}">
+             aria-label="${this.getProductCardLabel(displayTitle, isBackorder, isOutOfStock)}">
           <div class="system-builder__product-select-indicator">
             <span class="system-builder__checkmark"></span>
           </div>
           ${backorderBadgeHtml}
-          ${isOutOfStock ? '<div class="system-builder__out-of-stock-badge">Out of Stock</div>' : ''}
+          ${isOutOfStock ? `<div class="system-builder__out-of-stock-badge">${this.t('systemBuilderProductOutOfStock')}</div>` : ''}
           <div class="system-builder__product-image">
             ${imageUrl
               ? `<img src="${imageUrl}" alt="${displayTitle}" class="system-builder__product-img" loading="lazy">`
@@ -687,7 +1632,7 @@ class SystemBuilder extends HTMLElement {
           <div class="system-builder__product-info">
             <h4 class="system-builder__product-title">${displayTitle}</h4>
             <p class="system-builder__product-price">${price}</p>
-            ${isOutOfStock ? '<p class="system-builder__stock-status">This item is currently out of stock</p>' : ''}
+            ${isOutOfStock ? `<p class="system-builder__stock-status">${this.t('systemBuilderProductOutOfStockMessage')}</p>` : ''}
           </div>
           <input type="hidden" name="variant_id" value="${variantData.id}">
         </div>
@@ -706,12 +1651,7 @@ class SystemBuilder extends HTMLElement {
     if (!configEl) return;
 
     // Remove selected products for current variants before clearing
-    if (Array.isArray(config.ringMount)) {
-      config.ringMount.forEach(v => { if (v?.id) delete this.selectedProducts[v.id]; });
-    }
-    if (Array.isArray(config.magRing)) {
-      config.magRing.forEach(v => { if (v?.id) delete this.selectedProducts[v.id]; });
-    }
+    this.removeConfigSelections(configId);
 
     // Reset config state
     config.ringMount = [];
@@ -722,7 +1662,7 @@ class SystemBuilder extends HTMLElement {
       el.hidden = true;
       const productDisplay = el.querySelector('[data-product]');
       if (productDisplay) {
-        productDisplay.innerHTML = '<p class="system-builder__placeholder">Select your optic to see compatible products.</p>';
+        productDisplay.innerHTML = `<p class="system-builder__placeholder">${this.t('systemBuilderOpticProductsPlaceholder')}</p>`;
       }
     });
 
@@ -737,9 +1677,12 @@ class SystemBuilder extends HTMLElement {
 
   /**
    * Display a variant product (for non-optic products like adapter)
+   * Phone cases are displayed within their phone config (scope).
    */
-  displayVariantProduct(productType, variantData) {
-    const container = this.querySelector(`[data-product="${productType}"]`);
+  displayVariantProduct(productType, variantData, scope = this) {
+    if (!scope) return;
+
+    const container = scope.querySelector(`[data-product="${productType}"]`);
     const stepContainer = this.querySelector(`[data-step="${productType}"]`);
 
     if (!container) return;
@@ -748,36 +1691,25 @@ class SystemBuilder extends HTMLElement {
     container.hidden = false;
 
     if (!variantData) {
-      container.innerHTML = '<p class="system-builder__empty-message">No compatible product found.</p>';
+      container.innerHTML = `<p class="system-builder__empty-message">${this.t('systemBuilderProductNotFound')}</p>`;
       return;
     }
 
     const imageUrl = variantData.image ? this.getImageUrl(variantData.image, 200) : '';
     const price = this.formatMoney(variantData.price);
-    const displayTitle = variantData.productTitle
-      ? (variantData.title && variantData.title !== 'Default Title'
-          ? `${variantData.productTitle} - ${variantData.title}`
-          : variantData.productTitle)
-      : variantData.title || 'Product';
-
-    const isSelected = !!this.selectedProducts[variantData.id];
-    const isAvailable = variantData.available !== false;
-    const isBackorder = variantData.inventoryPolicy === 'continue' && variantData.inventoryQuantity <= 0;
-    const isOutOfStock = !isAvailable && !isBackorder;
+    const displayTitle = this.getProductDisplayTitle(variantData);
+
+    const phoneConfigId = scope.dataset?.phoneConfig;
+    const selectionKey = phoneConfigId !== undefined
+      ? this.getPhoneSelectionKey(variantData.id, phoneConfigId)
+      : this.getSelectionKey(variantData.id);
+    const isSelected = !!this.selectedProducts[selectionKey];
+    const { isAvailable, isBackorder, isOutOfStock } = this.getStockState(variantData);
     const cardClass = isBackorder
       ? ' system-builder__product-card--backorder'
       : isOutOfStock ? ' system-builder__product-card--out-of-stock' : '';
 
-    let backorderBadgeHtml = '';
-    if (isBackorder && variantData.backorderDate) {
-      let badgeDateStr = '';
-      const parts = String(variantData.backorderDate).split('-').map(Number);
-      const d = parts.length === 3 ? new Date(parts[0], parts[1] - 1, parts[2]) : null;
-      if (d && !isNaN(d)) badgeDateStr = d.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
-      backorderBadgeHtml = '<div class="system-builder__backorder-badge">In Production'
-        + (badgeDateStr ? '<span class="system-builder__backorder-badge-date">' + badgeDateStr + '</span>' : '')
-        + '</div>';
-    }
+    const backorderBadgeHtml = this.getBackorderBadgeHtml(variantData);
 
     container.innerHTML = `
       <div class="system-builder__product-card${isSelected ? ' system-builder__product-card--selected' : ''}${cardClass}"
@@ -789,12 +1721,12 @@ class SystemBuilder extends HTMLElement {
            role="button"
            tabindex="0"
            aria-pressed="${isSelected}"
-           aria-label="Click to ${isSelected ? 'remove from' : 'add to'} your system: ${displayTitle}${isBackorder ? ' (In Production)' : isOutOfStock ? ' (Out of Stock)' : ''}">
+           aria-label="${this.getProductCardLabel(displayTitle, isBackorder, isOutOfStock)}">
         <div class="system-builder__product-select-indicator">
           <span class="system-builder__checkmark"></span>
         </div>
         ${backorderBadgeHtml}
-        ${isOutOfStock ? '<div class="system-builder__out-of-stock-badge">Out of Stock</div>' : ''}
+        ${isOutOfStock ? `<div class="system-builder__out-of-stock-badge">${this.t('systemBuilderProductOutOfStock')}</div>` : ''}
         <div class="system-builder__product-image">
           ${imageUrl
             ? `<img src="${imageUrl}" alt="${displayTitle}" class="system-builder__product-img" loading="lazy">`
@@ -804,7 +1736,7 @@ class SystemBuilder extends HTMLElement {
         <div class="system-builder__product-info">
           <h4 class="system-builder__product-title">${displayTitle}</h4>
           <p class="system-builder__product-price">${price}</p>
-          ${isOutOfStock ? '<p class="system-builder__stock-status">This item is currently out of stock</p>' : ''}
+          ${isOutOfStock ? `<p class="system-builder__stock-status">${this.t('systemBuilderProductOutOfStockMessage')}</p>` : ''}
         </div>
         <input type="hidden" name="variant_id" value="${variantData.id}">
       </div>
@@ -812,43 +1744,39 @@ class SystemBuilder extends HTMLElement {
   }
 
   /**
-   * Display accessories
+   * Display accessories, recommended ones first with the reasons they're suggested.
+   * The grid is only rendered again when the accessories shown or their reasons change
    */
   displayAccessories() {
     const grid = this.querySelector('[data-accessories-grid]');
     if (!grid) return;
 
+    const entries = this.getDisplayedAccessories();
+    const signature = JSON.stringify(entries.map(({ accessory, reasons }) => [accessory.id, reasons]));
+    if (signature === this.accessoriesSignature) return;
+    this.accessoriesSignature = signature;
+
     grid.innerHTML = '';
 
-    this.data.accessories.forEach(accessory => {
+    const emptyEl = this.querySelector('[data-accessories-empty]');
+    if (emptyEl) emptyEl.hidden = entries.length > 0;
+
+    entries.forEach(({ accessory, reasons }) => {
       const isSelected = !!this.selectedProducts[accessory.id];
       const imageUrl = accessory.image ? this.getImageUrl(accessory.image, 200) : '';
       const price = this.formatMoney(accessory.price);
-      const displayTitle = accessory.productTitle
-        ? (accessory.title && accessory.title !== 'Default Title'
-            ? `${accessory.productTitle} - ${accessory.title}`
-            : accessory.productTitle)
-        : accessory.title || 'Product';
-      const isAvailable = accessory.available !== false;
-      const isBackorder = accessory.inventoryPolicy === 'continue' && accessory.inventoryQuantity <= 0;
-      const isOutOfStock = !isAvailable && !isBackorder;
+      const displayTitle = this.getProductDisplayTitle(accessory);
+      const { isAvailable, isBackorder, isOutOfStock } = this.getStockState(accessory);
       const cardClass = isBackorder
         ? ' system-builder__product-card--backorder'
         : isOutOfStock ? ' system-builder__product-card--out-of-stock' : '';
+      const isRecommended = reasons.length > 0;
+      const label = [this.getProductCardLabel(displayTitle, isBackorder, isOutOfStock), ...reasons].join('. ');
 
-      let backorderBadgeHtml = '';
-      if (isBackorder && accessory.backorderDate) {
-        let badgeDateStr = '';
-        const parts = String(accessory.backorderDate).split('-').map(Number);
-        const d = parts.length === 3 ? new Date(parts[0], parts[1] - 1, parts[2]) : null;
-        if (d && !isNaN(d)) badgeDateStr = d.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
-        backorderBadgeHtml = '<div class="system-builder__backorder-badge">In Production'
-          + (badgeDateStr ? '<span class="system-builder__backorder-badge-date">' + badgeDateStr + '</span>' : '')
-          + '</div>';
-      }
+      const backorderBadgeHtml = this.getBackorderBadgeHtml(accessory);
 
       const cardHtml = `
-        <div class="system-builder__product-card${isSelected ? ' system-builder__product-card--selected' : ''}${cardClass}"
+        <div class="system-builder__product-card${isSelected ? ' system-builder__product-card--selected' : ''}${cardClass}${isRecommended ? ' system-builder__product-card--recommended' : ''}"
              data-product-card
              data-product-type="accessory"
              data-variant-id="${accessory.id}"
@@ -856,13 +1784,13 @@ class SystemBuilder extends HTMLElement {
              data-backorder="${isBackorder}"
              role="button"
              tabindex="0"
-             aria-pressed="${isSelected}"
-             aria-label="Click to ${isSelected ? 'remove from' : 'add to'} your system: ${displayTitle}${isBackorder ? ' (In Production)' : isOutOfStock ? ' (Out of Stock)' : ''}">
+             aria-pressed="${isSelected}">
           <div class="system-builder__product-select-indicator">
             <span class="system-builder__checkmark"></span>
           </div>
+          ${isRecommended ? `<div class="system-builder__recommended-badge">${this.t('systemBuilderAccessoriesRecommended')}</div>` : ''}
           ${backorderBadgeHtml}
-          ${isOutOfStock ? '<div class="system-builder__out-of-stock-badge">Out of Stock</div>' : ''}
+          ${isOutOfStock ? `<div class="system-builder__out-of-stock-badge">${this.t('systemBuilderProductOutOfStock')}</div>` : ''}
           <div class="system-builder__product-image">
             ${imageUrl
               ? `<img src="${imageUrl}" alt="${displayTitle}" class="system-builder__product-img" loading="lazy">`
@@ -872,61 +1800,308 @@ class SystemBuilder extends HTMLElement {
           <div class="system-builder__product-info">
             <h4 class="system-builder__product-title">${displayTitle}</h4>
             <p class="system-builder__product-price">${price}</p>
-            ${isOutOfStock ? '<p class="system-builder__stock-status">This item is currently out of stock</p>' : ''}
+            ${isOutOfStock ? `<p class="system-builder__stock-status">${this.t('systemBuilderProductOutOfStockMessage')}</p>` : ''}
           </div>
           <input type="hidden" name="variant_id" value="${accessory.id}">
         </div>
       `;
 
       grid.insertAdjacentHTML('beforeend', cardHtml);
+
+      // Reasons come from merchant content and model names, they're set as text
+      const card = grid.lastElementChild;
+      const reasonEls = reasons.map(reason => {
+        const reasonEl = document.createElement('p');
+        reasonEl.className = 'system-builder__product-reason';
+        reasonEl.textContent = reason;
+        return reasonEl;
+      });
+      card.setAttribute('aria-label', label);
+      card.querySelector('.system-builder__product-price').after(...reasonEls);
     });
   }
 
   /**
-   * Update phone model chips
+   * Get the accessories to display as [{ accessory, reasons }]: the recommendations of the build,
+   * then the other accessory blocks. Accessories related to a model that isn't in the build are left
+   * out, unless they're selected
    */
-  updatePhoneModels() {
-    const modelField = this.querySelector('[data-field="phone-model"]');
-    const modelChipsContainer = this.querySelector('[data-chips="phone-model"]');
+  getDisplayedAccessories() {
+    const recommendations = this.getAccessoryRecommendations();
+    const recommendedIds = new Set(recommendations.map(({ accessory }) => String(accessory.id)));
+    const relatedHandles = this.isRecommendingAccessories()
+      ? new Set([...this.data.opticModels, ...this.data.phoneModels].flatMap(model => model.accessories || []))
+      : new Set();
+
+    const others = this.getAccessories().filter(accessory => {
+      if (recommendedIds.has(String(accessory.id))) return false;
+      if (this.selectedProducts[accessory.id]) return true;
+      return this.data.accessories.includes(accessory) && !relatedHandles.has(accessory.productHandle);
+    });
 
-    if (!modelField || !modelChipsContainer) return;
+    return [
+      ...recommendations,
+      ...others.map(accessory => ({ accessory, reasons: [] }))
+    ];
+  }
 
-    const filteredModels = this.data.phoneModels.filter(
-      model => model.brandHandle === this.state.phoneBrand
-    );
+  /**
+   * Whether accessories are ranked by the build (section setting)
+   */
+  isRecommendingAccessories() {
+    return Boolean(this.querySelector('[data-accessories-grid]')?.hasAttribute('data-recommend-accessories'));
+  }
 
-    modelChipsContainer.innerHTML = '';
+  /**
+   * Get every accessory the builder knows of: accessory blocks, accessories related to optic and phone
+   * models, and the complementary recommendations loaded so far
+   */
+  getAccessories() {
+    const accessories = new Map();
+
+    [
+      ...this.data.accessories,
+      ...this.data.relatedAccessories,
+      ...[...this.complementaryAccessories.values()].flat().filter(Boolean)
+    ].forEach(accessory => {
+      if (!accessories.has(String(accessory.id))) accessories.set(String(accessory.id), accessory);
+    });
 
-    if (filteredModels.length === 0) {
-      modelChipsContainer.innerHTML = '<p class="system-builder__empty-message">No models available for this brand.</p>';
-    } else {
-      filteredModels.forEach(model => {
-        const chip = this.createChip(model.handle, model.name, 'phone-model');
-        modelChipsContainer.appendChild(chip);
+    return [...accessories.values()];
+  }
+
+  /**
+   * Rank the accessories by what's in the build, each with the reasons it's suggested.
+   * Accessories related to the selected optic or phone models come first, then the targets of the
+   * "recommends" rules of selected products, then the accessories recommended for every build.
+   * Complementary recommendations stand in for the related accessories when no selected model has any
+   */
+  getAccessoryRecommendations() {
+    if (!this.isRecommendingAccessories()) return [];
+
+    const accessories = this.getAccessories();
+    const recommendations = new Map();
+    const recommend = (accessory, reason, score) => {
+      if (!accessory) return;
+
+      const recommendation = recommendations.get(String(accessory.id)) || { accessory, reasons: [], score: 0 };
+      if (!recommendation.reasons.includes(reason)) recommendation.reasons.push(reason);
+      recommendation.score += score;
+      recommendations.set(String(accessory.id), recommendation);
+    };
+    const findByHandle = handle => accessories.find(accessory => accessory.productHandle === handle);
+
+    this.opticConfigs.forEach(config => {
+      const model = this.data.opticModels.find(m => m.handle === config.opticModel);
+      if (!model?.accessories?.length) return;
+
+      const name = this.getLineItemContext({ configId: config.id }).opticName;
+      model.accessories.forEach(handle => {
+        recommend(findByHandle(handle), this.t('systemBuilderAccessoriesReasonOptic', { name }), 3);
+      });
+    });
+
+    this.phoneConfigs.forEach(config => {
+      const model = this.data.phoneModels.find(m => m.handle === config.phoneModel);
+      if (!model?.accessories?.length) return;
+
+      const name = this.getLineItemContext({ productType: 'phone-case', phoneConfigId: config.id }).phoneName;
+      model.accessories.forEach(handle => {
+        recommend(findByHandle(handle), this.t('systemBuilderAccessoriesReasonPhone', { name }), 3);
+      });
+    });
+
+    const hasRelatedAccessories = recommendations.size > 0;
+    const buildProducts = Object.values(this.selectedProducts).filter(product => product && product.productType !== 'accessory');
+
+    this.data.compatibilityRules.filter(rule => rule.type === 'recommends').forEach(rule => {
+      const source = buildProducts.find(product => this.isListedByRule(rule, product));
+      if (!source) return;
+
+      accessories.filter(accessory => this.isListedByRule(rule, accessory, 'targets')).forEach(accessory => {
+        recommend(accessory, rule.message || this.t('systemBuilderAccessoriesReasonProduct', { title: this.getProductDisplayTitle(source) }), 2);
+      });
+    });
+
+    if (!hasRelatedAccessories) {
+      buildProducts.forEach(product => {
+        (this.complementaryAccessories.get(String(product.productId)) || []).forEach(accessory => {
+          recommend(accessory, this.t('systemBuilderAccessoriesReasonProduct', { title: product.productTitle || product.title }), 1);
+        });
       });
     }
 
-    modelField.hidden = false;
+    this.data.accessories.filter(accessory => accessory.recommendAlways).forEach(accessory => {
+      recommend(accessory, accessory.reason || this.t('systemBuilderAccessoriesReasonEveryBuild'), 1);
+    });
 
-    const phoneCaseDisplay = this.querySelector('[data-product="phone-case"]');
-    if (phoneCaseDisplay) phoneCaseDisplay.hidden = true;
-    this.state.phoneCase = null;
+    // Highest score first, ties keep the order above
+    return [...recommendations.values()]
+      .sort((a, b) => b.score - a.score)
+      .map(({ accessory, reasons }) => ({ accessory, reasons }));
   }
 
   /**
-   * Update phone case based on selection
+   * Load Shopify's complementary recommendations of the selected products, when no selected optic
+   * or phone model has related accessories. The accessories are displayed once loaded
    */
-  updatePhoneCase() {
-    if (!this.state.phoneModel) return;
+  loadComplementaryAccessories() {
+    if (!this.isRecommendingAccessories()) return;
 
-    const modelData = this.data.phoneModels.find(
-      model => model.handle === this.state.phoneModel
+    const hasRelatedModel = this.opticConfigs.some(config =>
+      this.data.opticModels.find(model => model.handle === config.opticModel)?.accessories?.length
+    ) || this.phoneConfigs.some(config =>
+      this.data.phoneModels.find(model => model.handle === config.phoneModel)?.accessories?.length
     );
+    if (hasRelatedModel) return;
+
+    const productIds = new Set(Object.values(this.selectedProducts)
+      .filter(product => product && product.productType !== 'accessory' && product.productId)
+      .map(product => String(product.productId)));
+
+    productIds.forEach(productId => {
+      if (this.complementaryAccessories.has(productId)) return;
+      this.complementaryAccessories.set(productId, null);
+
+      this.fetchComplementaryAccessories(productId)
+        .then(accessories => {
+          this.complementaryAccessories.set(productId, accessories);
+          this.displayAccessories();
+          this.updateCardCompatibility();
+          this.applyPendingAccessories();
+        })
+        .catch(error => {
+          // Tried again on the next change of the build
+          this.complementaryAccessories.delete(productId);
+          console.warn('System Builder: Unable to load complementary products', error);
+        });
+    });
+  }
 
-    if (!modelData) return;
+  /**
+   * Fetch the complementary products of a product (Search & Discovery app), formatted like variant data.
+   * Products that are part of the builder's own steps (ring mounts, mag rings...) are left out
+   */
+  async fetchComplementaryAccessories(productId) {
+    const root = window.Shopify?.routes?.root || '/';
+    const params = new URLSearchParams({
+      product_id: productId,
+      limit: this.COMPLEMENTARY_ACCESSORIES_LIMIT,
+      intent: 'complementary'
+    });
+    const response = await fetch(`${root}recommendations/products.json?${params}`);
+    if (!response.ok) throw new Error(`Failed to load recommendations for product ${productId}`);
+
+    const { products = [] } = await response.json();
+    const builderHandles = new Set();
+    this.forEachVariantData(variantData => {
+      if (!this.data.accessories.includes(variantData)) builderHandles.add(variantData.productHandle);
+    });
 
-    this.state.phoneCase = modelData.phoneCase;
-    this.displayVariantProduct('phone-case', modelData.phoneCase);
+    return products
+      .filter(product => !builderHandles.has(product.handle))
+      .map(product => {
+        const variant = (product.variants || []).find(v => v.available) || product.variants?.[0];
+        if (!variant) return null;
+
+        return {
+          id: variant.id,
+          title: variant.title,
+          sku: variant.sku || '',
+          price: variant.price,
+          productId: product.id,
+          productTitle: product.title,
+          productHandle: product.handle,
+          image: variant.featured_image?.src || product.featured_image || null,
+          available: variant.available,
+          inventoryManagement: variant.inventory_management || null,
+          inventoryPolicy: null,
+          inventoryQuantity: null,
+          backorderDate: null
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Select the restored accessories whose card is now displayed
+   */
+  applyPendingAccessories() {
+    const pending = Object.entries(this.pendingAccessoryQuantities);
+    if (pending.length === 0) return;
+
+    let hasRestored = false;
+    const wasRestoring = this.isRestoring;
+    this.isRestoring = true;
+
+    try {
+      pending.forEach(([variantId, quantity]) => {
+        const selectionKey = this.getSelectionKey(variantId);
+        const card = this.getCardsForSelection(selectionKey)[0];
+        if (!card) return;
+
+        if (!this.selectedProducts[selectionKey]) this.handleProductCardClick(card);
+        this.applyRestoredQuantity(selectionKey, quantity);
+        delete this.pendingAccessoryQuantities[variantId];
+        hasRestored = true;
+      });
+    } finally {
+      this.isRestoring = wasRestoring;
+    }
+
+    if (hasRestored) this.updateSummary();
+  }
+
+  /**
+   * Update phone model chips
+   */
+  updatePhoneModels(phoneConfigId) {
+    const config = this.getPhoneConfig(phoneConfigId);
+    const configEl = this.querySelector(`[data-phone-config="${phoneConfigId}"]`);
+    if (!config || !configEl) return;
+
+    const modelField = configEl.querySelector('[data-field="phone-model"]');
+    const modelChipsContainer = configEl.querySelector('[data-chips="phone-model"]');
+
+    if (!modelField || !modelChipsContainer) return;
+
+    const filteredModels = this.data.phoneModels.filter(
+      model => model.brandHandle === config.phoneBrand
+    );
+
+    modelChipsContainer.innerHTML = '';
+
+    if (filteredModels.length === 0) {
+      modelChipsContainer.innerHTML = `<p class="system-builder__empty-message">${this.t('systemBuilderPhoneNoModels')}</p>`;
+    } else {
+      filteredModels.forEach(model => {
+        const chip = this.createChip(model.handle, model.name, 'phone-model');
+        modelChipsContainer.appendChild(chip);
+      });
+    }
+
+    modelField.hidden = false;
+
+    const phoneCaseDisplay = configEl.querySelector('[data-product="phone-case"]');
+    if (phoneCaseDisplay) phoneCaseDisplay.hidden = true;
+    config.phoneCase = null;
+  }
+
+  /**
+   * Update the phone case of a phone config based on its selection
+   */
+  updatePhoneCase(phoneConfigId) {
+    const config = this.getPhoneConfig(phoneConfigId);
+    if (!config || !config.phoneModel) return;
+
+    const modelData = this.data.phoneModels.find(
+      model => model.handle === config.phoneModel
+    );
+
+    if (!modelData) return;
+
+    config.phoneCase = modelData.phoneCase;
+    this.displayVariantProduct('phone-case', modelData.phoneCase, this.querySelector(`[data-phone-config="${phoneConfigId}"]`));
   }
 
   /**
@@ -944,6 +2119,217 @@ class SystemBuilder extends HTMLElement {
     return button;
   }
 
+  /**
+   * Normalize text for search matching, ignoring case, accents, spacing, punctuation and "×" vs "x"
+   */
+  normalizeSearchText(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/×/g, 'x')
+      .replace(/[^a-z0-9]+/g, '');
+  }
+
+  /**
+   * Get the brands and models a search looks through ('optic' or 'phone')
+   */
+  getSearchEntries(scope) {
+    const brands = scope === 'phone' ? this.data.phoneBrands : this.data.opticBrands;
+    const models = scope === 'phone' ? this.data.phoneModels : this.data.opticModels;
+
+    const brandEntries = brands.map(brand => ({ brand, model: null, label: brand.name }));
+    const modelEntries = models
+      .map(model => {
+        const brand = brands.find(b => b.handle === model.brandHandle);
+        return { brand, model, label: [brand?.name, model.name].filter(Boolean).join(' ') };
+      })
+      .filter(entry => entry.brand);
+
+    return [...brandEntries, ...modelEntries];
+  }
+
+  /**
+   * Score how well a brand or model name matches a query, 0 when it doesn't.
+   * The whole query or each of its words found in the name rank above its letters merely appearing in order.
+   */
+  getSearchScore(query, label) {
+    const text = this.normalizeSearchText(label);
+    const compactQuery = this.normalizeSearchText(query);
+    if (!compactQuery) return 0;
+
+    if (text.startsWith(compactQuery)) return 4;
+    if (text.includes(compactQuery)) return 3;
+
+    const words = query.split(/\s+/).map(word => this.normalizeSearchText(word)).filter(Boolean);
+    if (words.every(word => text.includes(word))) return 2;
+
+    // Letters in order (e.g. "swatx95" for "Swarovski ATX 95"), too loose for very short queries
+    if (compactQuery.length < 3) return 0;
+
+    let index = 0;
+    for (const char of text) {
+      if (char === compactQuery[index]) index++;
+      if (index === compactQuery.length) return 1;
+    }
+
+    return 0;
+  }
+
+  /**
+   * List the brands and models matching the search input
+   */
+  handleSearchInput(input) {
+    const search = input.closest('[data-search]');
+    if (!search) return;
+
+    const query = input.value.trim();
+    if (!query) {
+      this.closeSearchResults(search);
+      return;
+    }
+
+    // Brands come first among equally good matches
+    const matches = this.getSearchEntries(search.dataset.search)
+      .map(entry => ({ ...entry, score: this.getSearchScore(query, entry.label) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.SEARCH_MAX_RESULTS);
+
+    this.renderSearchResults(search, matches);
+  }
+
+  /**
+   * Render the search matches as a listbox below the input
+   */
+  renderSearchResults(search, matches) {
+    const input = search.querySelector('[data-search-input]');
+    const results = search.querySelector('[data-search-results]');
+    if (!input || !results) return;
+
+    // IDs follow the optic or phone config, as configs are cloned from the first one
+    const configId = search.closest('[data-optic-config]')?.dataset.opticConfig
+      ?? search.closest('[data-phone-config]')?.dataset.phoneConfig;
+    results.id = [this.id || 'system-builder', 'search', search.dataset.search, configId].filter(Boolean).join('-');
+
+    const emptyMessage = this.t(search.dataset.search === 'optic'
+      ? 'systemBuilderSearchNoResultsOptic'
+      : 'systemBuilderSearchNoResults');
+
+    results.innerHTML = matches.length > 0
+      ? matches.map((entry, index) => `
+          <li class="system-builder__search-option"
+              id="${results.id}-${index}"
+              role="option"
+              aria-selected="false"
+              data-search-option
+              data-brand="${entry.brand.handle}"
+              ${entry.model ? `data-model="${entry.model.handle}"` : ''}>
+            ${entry.model
+              ? `<span class="system-builder__search-option-brand">${entry.brand.name}</span> ${entry.model.name}`
+              : entry.brand.name}
+          </li>
+        `).join('')
+      : `<li class="system-builder__search-empty" role="presentation">${emptyMessage}</li>`;
+
+    results.hidden = false;
+    input.setAttribute('aria-controls', results.id);
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Navigate the search results with the arrow keys, select with Enter and close with Escape
+   */
+  handleSearchKeydown(e, input) {
+    const search = input.closest('[data-search]');
+    if (!search) return;
+
+    const options = [...search.querySelectorAll('[data-search-option]')];
+    const activeIndex = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (options.length === 0) return;
+      e.preventDefault();
+
+      const nextIndex = e.key === 'ArrowDown'
+        ? (activeIndex + 1) % options.length
+        : (activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+
+      options.forEach((option, index) => option.setAttribute('aria-selected', String(index === nextIndex)));
+      input.setAttribute('aria-activedescendant', options[nextIndex].id);
+      options[nextIndex].scrollIntoView?.({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      // Enter picks the highlighted match, or the best one
+      const option = options[activeIndex] || options[0];
+      if (!option) return;
+      e.preventDefault();
+      this.selectSearchOption(option);
+    } else if (e.key === 'Escape') {
+      this.closeSearchResults(search);
+    }
+  }
+
+  /**
+   * Select the brand chip of a search match, then its model chip
+   */
+  selectSearchOption(option) {
+    const search = option.closest('[data-search]');
+    if (!search) return;
+
+    const scope = search.dataset.search;
+    const chipScope = search.closest(scope === 'optic' ? '[data-optic-config]' : '[data-phone-config]');
+    if (!chipScope) return;
+
+    const findChip = (field, value) => chipScope.querySelector(
+      `[data-chip][data-field="${scope}-${field}"][data-value="${CSS.escape(String(value))}"]`
+    );
+    const isSelected = chip => chip.classList.contains('system-builder__chip--selected');
+
+    const brandChip = findChip('brand', option.dataset.brand);
+    if (!brandChip) return;
+
+    // Picking the brand again would clear the model chosen for it
+    if (!isSelected(brandChip)) this.handleChipClick(brandChip);
+
+    let targetChip = brandChip;
+    if (option.dataset.model) {
+      const modelChip = findChip('model', option.dataset.model);
+      if (modelChip) {
+        if (!isSelected(modelChip)) this.handleChipClick(modelChip);
+        targetChip = modelChip;
+      }
+    }
+
+    this.resetSearch(search);
+    targetChip.scrollIntoView?.({ block: 'nearest' });
+    targetChip.focus();
+  }
+
+  /**
+   * Hide the search results
+   */
+  closeSearchResults(search) {
+    const input = search.querySelector('[data-search-input]');
+    const results = search.querySelector('[data-search-results]');
+
+    if (results) {
+      results.hidden = true;
+      results.innerHTML = '';
+    }
+    input?.setAttribute('aria-expanded', 'false');
+    input?.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Clear the search input and hide its results
+   */
+  resetSearch(search) {
+    const input = search.querySelector('[data-search-input]');
+    if (input) input.value = '';
+    this.closeSearchResults(search);
+  }
+
   /**
    * Update summary section
    */
@@ -961,40 +2347,31 @@ class SystemBuilder extends HTMLElement {
     if (emptyState) emptyState.hidden = hasSelectedProducts;
     if (footer) footer.hidden = !hasSelectedProducts;
 
+    // Any previous add to cart error refers to a selection that has since changed
+    this.hideAddToCartError();
+
+    this.displayAccessories();
+    this.loadComplementaryAccessories();
+
+    this.compatibilityIssues = this.getCompatibilityIssues();
+    this.updateCardCompatibility();
+    this.renderCompatibilityNotices();
+
     if (summaryItemsContainer) {
       summaryItemsContainer.innerHTML = '';
 
-      const productsByType = {
-        'ring-mount': [],
-        'mag-ring': [],
-        'adapter': [],
-        'phone-case': [],
-        'accessory': []
-      };
-
-      Object.entries(this.selectedProducts).forEach(([variantId, product]) => {
-        if (product && product.productType && productsByType[product.productType]) {
-          productsByType[product.productType].push({ variantId, ...product });
-        }
-      });
-
-      ['ring-mount', 'mag-ring', 'adapter', 'phone-case', 'accessory'].forEach(type => {
-        productsByType[type].forEach(product => {
-          const itemHtml = this.createSummaryItemHtml(product.variantId, product);
-          summaryItemsContainer.insertAdjacentHTML('beforeend', itemHtml);
-        });
+      this.getOrderedSelections().forEach(([selectionKey, product]) => {
+        const itemHtml = this.createSummaryItemHtml(selectionKey, product);
+        summaryItemsContainer.insertAdjacentHTML('beforeend', itemHtml);
       });
     }
 
     // Calculate total
     let total = 0;
-    let itemCount = 0;
 
     Object.values(this.selectedProducts).forEach(product => {
       if (product?.price) {
-        const qty = product.quantity || 1;
-        total += product.price * qty;
-        itemCount += qty;
+        total += product.price * (product.quantity || 1);
       }
     });
 
@@ -1004,245 +2381,2108 @@ class SystemBuilder extends HTMLElement {
     if (backorderNoticesEl) {
       backorderNoticesEl.innerHTML = '';
       Object.values(this.selectedProducts).forEach(product => {
-        const isBackorder = product?.inventoryPolicy === 'continue' && product?.inventoryQuantity <= 0;
-        if (!isBackorder) return;
-        const displayTitle = product.productTitle || product.title || 'Product';
-        let message;
-        if (product.backorderDate) {
-          // Parse YYYY-MM-DD in local time to avoid UTC offset issues
-          const parts = String(product.backorderDate).split('-').map(Number);
-          const date = parts.length === 3 ? new Date(parts[0], parts[1] - 1, parts[2]) : null;
-          const formatted = date && !isNaN(date)
-            ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' })
-            : null;
-          message = formatted
-            ? `Your ${displayTitle} is expected to arrive ${formatted}`
-            : `Your ${displayTitle} is currently a backorder`;
-        } else {
-          message = `Your ${displayTitle} is currently a backorder`;
-        }
+        if (!product || !this.getStockState(product).isBackorder) return;
+        const displayTitle = product.productTitle || product.title || this.t('systemBuilderProductFallbackTitle');
+        const formatted = this.formatBackorderDate(product.backorderDate);
+        const message = formatted
+          ? this.t('systemBuilderSummaryExpectedArrival', { title: displayTitle, date: formatted })
+          : this.t('systemBuilderSummaryBackorder', { title: displayTitle });
         backorderNoticesEl.insertAdjacentHTML('beforeend',
           `<p class="system-builder__backorder-notice">${message}</p>`
         );
       });
     }
 
-    const totalEl = summary.querySelector('[data-total-price]');
-    if (totalEl) totalEl.textContent = this.formatMoney(total);
+    // Bundle discount, shown as a savings line and a struck-through total
+    const bundle = this.getBundleDiscount();
+    const savingsEl = summary.querySelector('[data-bundle-savings]');
+    if (savingsEl) {
+      savingsEl.hidden = !bundle;
+      if (bundle) {
+        savingsEl.querySelector('[data-bundle-savings-label]').textContent = this.t('systemBuilderSummaryBundleSavings', {
+          title: bundle.rule.title,
+          percentage: bundle.rule.percentage
+        });
+        savingsEl.querySelector('[data-bundle-savings-amount]').textContent = `-${this.formatMoney(bundle.savings)}`;
+      }
+    }
 
-    const addToCartBtn = summary.querySelector('[data-add-to-cart]');
-    if (addToCartBtn) {
-      const baseText = addToCartBtn.dataset.originalText || addToCartBtn.textContent;
-      if (!addToCartBtn.dataset.originalText) addToCartBtn.dataset.originalText = baseText;
-      addToCartBtn.textContent = itemCount > 0
-        ? `Add to Cart (${itemCount} item${itemCount > 1 ? 's' : ''})`
-        : baseText;
+    const comparePriceEl = summary.querySelector('[data-compare-price]');
+    if (comparePriceEl) {
+      comparePriceEl.hidden = !bundle;
+      comparePriceEl.textContent = bundle ? this.formatMoney(total) : '';
     }
+
+    const totalEl = summary.querySelector('[data-total-price]');
+    if (totalEl) totalEl.textContent = this.formatMoney(bundle ? total - bundle.savings : total);
+
+    this.updateAddToCartButton();
+
+    // Keep the shareable URL, the saved session and the undo history in sync with the current build
+    const snapshot = this.serializeState();
+    this.syncStateToUrl(snapshot);
+    this.saveSession(snapshot);
+    this.recordHistory(snapshot);
+    this.dispatchChange();
+
+    const startOverBtn = this.querySelector('[data-start-over]');
+    if (startOverBtn) startOverBtn.hidden = this.isEmptyState(snapshot);
+  }
+
+  /**
+   * Update the add to cart button label and its disabled state
+   */
+  updateAddToCartButton() {
+    // The button is managed by handleAddToCart while an add is in progress
+    const addToCartBtn = this.querySelector('[data-add-to-cart]');
+    if (!addToCartBtn || this.isAddingToCart) return;
+
+    const itemCount = Object.values(this.selectedProducts)
+      .filter(product => product?.price)
+      .reduce((total, product) => total + (product.quantity || 1), 0);
+
+    const baseText = addToCartBtn.dataset.originalText || addToCartBtn.textContent;
+    if (!addToCartBtn.dataset.originalText) addToCartBtn.dataset.originalText = baseText;
+    addToCartBtn.textContent = itemCount > 0
+      ? this.t('systemBuilderCartAddItems', { count: itemCount })
+      : baseText;
+
+    // Items that sold out since the page was rendered, or that can't be combined, must be removed first
+    addToCartBtn.disabled = this.hasUnavailableSelections() || this.compatibilityIssues.conflicts.length > 0;
+  }
+
+  /**
+   * Get selected products as [selectionKey, product] pairs, ordered by product type then optic config
+   */
+  getOrderedSelections() {
+    const typeOrder = ['ring-mount', 'mag-ring', 'adapter', 'phone-case', 'accessory'];
+    const configOrder = configId => this.opticConfigs.findIndex(c => c.id === configId);
+    const phoneOrder = phoneConfigId => this.phoneConfigs.findIndex(c => c.id === phoneConfigId);
+
+    return Object.entries(this.selectedProducts)
+      .filter(([, product]) => product && typeOrder.includes(product.productType))
+      .sort(([, a], [, b]) => (
+        typeOrder.indexOf(a.productType) - typeOrder.indexOf(b.productType)
+        || configOrder(a.configId) - configOrder(b.configId)
+        || phoneOrder(a.phoneConfigId) - phoneOrder(b.phoneConfigId)
+      ));
   }
 
   /**
    * Create summary item HTML
    */
-  createSummaryItemHtml(variantId, product) {
-    const displayTitle = product.productTitle
-      ? (product.title && product.title !== 'Default Title'
-          ? `${product.productTitle} - ${product.title}`
-          : product.productTitle)
-      : product.title || 'Product';
+  createSummaryItemHtml(selectionKey, product) {
+    const displayTitle = this.getProductDisplayTitle(product);
 
     const imageUrl = product.image ? this.getImageUrl(product.image, 120) : '';
     const quantity = product.quantity || 1;
+    const context = this.getLineItemContext(product);
+    const contextName = context.opticName || context.phoneName;
+    const contextLabel = contextName ? this.t('systemBuilderSummaryFor', { name: contextName }) : '';
+    const stockIssue = this.getStockIssue(product);
+    const conflict = this.compatibilityIssues.conflicts.find(issue => issue.source === product || issue.target === product);
+    const conflictMessage = conflict
+      ? this.getExclusionMessage(conflict.rule, conflict.source === product ? conflict.target : conflict.source)
+      : '';
+    const hasError = stockIssue || conflictMessage;
 
     return `
-      <div class="system-builder__summary-item" data-summary-item="${variantId}">
+      <div class="system-builder__summary-item${hasError ? ' system-builder__summary-item--error' : ''}" data-summary-item="${selectionKey}">
         <div class="system-builder__summary-item-image">
           ${imageUrl ? `<img src="${imageUrl}" alt="${displayTitle}" loading="lazy">` : ''}
         </div>
         <div class="system-builder__summary-item-details">
           <span class="system-builder__summary-name">${displayTitle}</span>
+          ${contextLabel ? `<span class="system-builder__summary-context">${contextLabel}</span>` : ''}
+          ${stockIssue ? `<span class="system-builder__summary-stock">${stockIssue}</span>` : ''}
+          ${conflictMessage ? `<span class="system-builder__summary-conflict">${conflictMessage}</span>` : ''}
           <span class="system-builder__summary-price">${this.formatMoney(product.price * quantity)}</span>
         </div>
         <div class="system-builder__summary-quantity">
-          <button type="button" class="system-builder__quantity-btn" data-quantity-decrease="${variantId}" aria-label="Decrease quantity">−</button>
-          <span class="system-builder__quantity-value" data-quantity-display="${variantId}">${quantity}</span>
-          <button type="button" class="system-builder__quantity-btn" data-quantity-increase="${variantId}" aria-label="Increase quantity">+</button>
+          <button type="button" class="system-builder__quantity-btn" data-quantity-decrease="${selectionKey}" aria-label="${this.t('systemBuilderSummaryDecreaseQuantity')}">−</button>
+          <span class="system-builder__quantity-value" data-quantity-display="${selectionKey}">${quantity}</span>
+          <button type="button" class="system-builder__quantity-btn" data-quantity-increase="${selectionKey}" aria-label="${this.t('systemBuilderSummaryIncreaseQuantity')}">+</button>
         </div>
-        <button type="button" class="system-builder__summary-remove" data-summary-remove="${variantId}" aria-label="Remove item">&times;</button>
+        <button type="button" class="system-builder__summary-remove" data-summary-remove="${selectionKey}" aria-label="${this.t('systemBuilderSummaryRemoveItem')}">&times;</button>
       </div>
     `;
   }
 
   /**
-   * Clear all selections and reset the UI
+   * Describe which optic or phone a selected product was configured for
    */
-  clearAllSelections() {
-    // Clear selected products
-    this.selectedProducts = {};
+  getLineItemContext(product) {
+    const context = {};
+
+    if (product.configId !== null && product.configId !== undefined) {
+      const config = this.getOpticConfig(product.configId);
+      const brand = this.data.opticBrands.find(b => b.handle === config?.opticBrand);
+      const model = this.data.opticModels.find(m => m.handle === config?.opticModel);
+
+      context.configNumber = this.opticConfigs.indexOf(config) + 1;
+      if (brand) context.opticBrand = brand.name;
+      if (model) context.opticModel = model.name;
+      if (!model && config?.eyepieceDiameter) context.eyepieceDiameter = `${config.eyepieceDiameter} mm`;
+      context.opticName = [
+        context.opticBrand,
+        context.opticModel || (context.eyepieceDiameter && this.t('systemBuilderOpticEyepiece', { diameter: config.eyepieceDiameter }))
+      ].filter(Boolean).join(' ');
+    }
 
-    // Deselect all product cards visually
-    this.querySelectorAll('[data-product-card]').forEach(card => {
-      card.classList.remove('system-builder__product-card--selected');
-      card.setAttribute('aria-pressed', 'false');
-    });
+    if (product.productType === 'phone-case') {
+      const config = this.getPhoneConfig(product.phoneConfigId);
+      const brand = this.data.phoneBrands.find(b => b.handle === config?.phoneBrand);
+      const model = this.data.phoneModels.find(m => m.handle === config?.phoneModel);
 
-    // Update summary to show empty state
-    this.updateSummary();
+      context.phoneNumber = this.phoneConfigs.indexOf(config) + 1;
+      context.phoneName = [brand?.name, model?.name].filter(Boolean).join(' ');
+    }
+
+    return context;
   }
 
   /**
-   * Handle add to cart
+   * Build the line item properties for a selected product
    */
-  async handleAddToCart(button) {
-    const items = [];
-
-    Object.entries(this.selectedProducts).forEach(([variantId, product]) => {
-      if (product?.id) {
-        items.push({ id: product.id, quantity: product.quantity || 1 });
-      }
-    });
-
-
-    if (items.length === 0) {
-      button.textContent = 'Select products first';
-      setTimeout(() => {
-        button.textContent = button.dataset.originalText || 'Add All to Cart';
-      }, 2000);
-      return;
+  getLineItemProperties(product, buildId, buildLink, bundle = null) {
+    const context = this.getLineItemContext(product);
+    const properties = {};
+
+    if (context.opticBrand) properties['Optic Brand'] = context.opticBrand;
+    if (context.opticModel) properties['Optic Model'] = context.opticModel;
+    if (context.eyepieceDiameter) properties['Eyepiece Diameter'] = context.eyepieceDiameter;
+    if (context.phoneName) properties['Phone Model'] = context.phoneName;
+
+    // Underscored properties are hidden from the customer but kept on the order
+    properties['_Build ID'] = buildId;
+    if (buildLink) properties['_Build Link'] = buildLink;
+    if (context.configNumber > 0) properties['_Optic Config'] = String(context.configNumber);
+    if (context.phoneNumber > 0) properties['_Phone Config'] = String(context.phoneNumber);
+
+    // The bundle of the build, so that removing the build also drops its discount (see system-cart.js)
+    if (bundle) {
+      properties['_Bundle'] = bundle.rule.title;
+      if (bundle.rule.discountCode) properties['_Bundle Code'] = bundle.rule.discountCode;
     }
 
-    button.disabled = true;
-    const originalText = button.textContent;
-    button.dataset.originalText = originalText;
-    button.textContent = 'Adding...';
+    return properties;
+  }
 
-    try {
-      // Gather bundled sections (matches theme's ProductForm pattern)
-      const sectionsToBundle = ['variant-added'];
-      document.documentElement.dispatchEvent(
-        new CustomEvent('cart:prepare-bundled-sections', {
-          bubbles: true,
-          detail: { sections: sectionsToBundle }
-        })
-      );
+  /**
+   * Generate an identifier shared by every line added from one build
+   */
+  generateBuildId() {
+    const random = Math.random().toString(36).slice(2, 6);
+    return `SB-${Date.now().toString(36)}${random}`.toUpperCase();
+  }
 
-      // Use the first item's variant ID for the section rendering context
-      const firstVariantId = items[0].id;
-      const sectionsUrl = `${window.Shopify?.routes?.root || '/'}variants/${firstVariantId}`;
+  /**
+   * Build the link reopening the current configuration from the cart
+   */
+  getBuildLink(buildId) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set(this.STATE_URL_PARAM, this.encodeState(this.serializeState()));
+    url.searchParams.set(this.BUILD_URL_PARAM, buildId);
 
-      const response = await fetch(`${window.Shopify?.routes?.root || '/'}cart/add.js`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          items,
-          sections: sectionsToBundle.join(','),
-          sections_url: sectionsUrl
-        })
+    return `${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Describe the build for export, from the builder's state (amounts in cents).
+   * Groups list every optic config, even without products, then the phones, the adapter and the accessories
+   */
+  getBuildSheet() {
+    const selections = this.getOrderedSelections();
+    const getItems = filter => selections
+      .filter(([, product]) => filter(product))
+      .map(([, product]) => {
+        const quantity = product.quantity || 1;
+        return {
+          title: this.getProductDisplayTitle(product),
+          sku: product.sku || '',
+          quantity,
+          price: product.price || 0,
+          lineTotal: (product.price || 0) * quantity,
+          backorderDate: this.getStockState(product).isBackorder ? this.formatBackorderDate(product.backorderDate) : ''
+        };
       });
 
-      const responseData = await response.json();
+    const groups = [];
 
-      if (!response.ok) {
-        const errorMessage = responseData.description || responseData.message || '';
-        if (errorMessage.toLowerCase().includes('out of stock') ||
-            errorMessage.toLowerCase().includes('not available') ||
-            errorMessage.toLowerCase().includes('inventory')) {
-          throw new Error('out_of_stock');
-        }
-        throw new Error(errorMessage || 'Failed to add to cart');
-      }
+    this.opticConfigs.forEach((config, index) => {
+      const items = getItems(product => product.configId === config.id);
+      const opticName = this.getLineItemContext({ configId: config.id }).opticName;
+      if (!opticName && items.length === 0) return;
 
-      // Tag the cart so the resulting order is identifiable as a System Builder order
-      await fetch(`${window.Shopify?.routes?.root || '/'}cart/update.js`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ attributes: { 'System Builder': 'true' } })
+      groups.push({
+        title: [this.t('systemBuilderExportOptic', { number: index + 1 }), opticName].filter(Boolean).join(' – '),
+        items
       });
+    });
+
+    this.phoneConfigs.forEach((config, index) => {
+      const items = getItems(product => product.productType === 'phone-case' && product.phoneConfigId === config.id);
+      const phoneName = this.getLineItemContext({ productType: 'phone-case', phoneConfigId: config.id }).phoneName;
+      if (!phoneName && items.length === 0) return;
 
-      const cartResponse = await fetch(`${window.Shopify?.routes?.root || '/'}cart.js`, {
-        headers: { 'Accept': 'application/json' }
+      groups.push({
+        title: [this.t('systemBuilderPhoneTitle', { number: index + 1 }), phoneName].filter(Boolean).join(' – '),
+        items
       });
-      const cart = await cartResponse.json();
+    });
 
-      // Attach rendered section HTML so the cart notification drawer can display it
-      cart.sections = responseData.sections;
+    const adapterItems = getItems(product => product.productType === 'adapter');
+    if (adapterItems.length > 0) groups.push({ title: this.t('systemBuilderExportAdapter'), items: adapterItems });
+
+    const accessoryItems = getItems(product => product.productType === 'accessory');
+    if (accessoryItems.length > 0) groups.push({ title: this.t('systemBuilderExportAccessories'), items: accessoryItems });
+
+    const { subtotal, discount } = this.getState();
+    const bundle = this.getBundleDiscount();
+
+    // Absolute link, the sheet is read outside of the store
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set(this.STATE_URL_PARAM, this.encodeState(this.serializeState()));
+
+    return {
+      title: this.t('systemBuilderExportSheetTitle'),
+      groups,
+      subtotal,
+      discount,
+      discountLabel: bundle
+        ? this.t('systemBuilderSummaryBundleSavings', { title: bundle.rule.title, percentage: bundle.rule.percentage })
+        : '',
+      total: subtotal - discount,
+      currency: this.currency,
+      link: url.toString()
+    };
+  }
 
-      this.updateCartCount(cart.item_count);
+  /**
+   * Get the build sheet as plain text
+   */
+  getBuildSheetText(sheet = this.getBuildSheet()) {
+    const lines = [sheet.title, ''];
 
-      // Dispatch variant:add to open the cart notification drawer
-      document.dispatchEvent(
-        new CustomEvent('variant:add', {
-          bubbles: true,
-          detail: {
-            items: responseData.hasOwnProperty('items') ? responseData.items : [responseData],
-            cart: cart
-          }
-        })
-      );
+    sheet.groups.forEach(group => {
+      lines.push(group.title);
 
-      document.documentElement.dispatchEvent(
-        new CustomEvent('cart:change', { bubbles: true, detail: { baseEvent: 'variant:add', cart } })
-      );
-      document.dispatchEvent(
-        new CustomEvent('cart:refresh', { bubbles: true, detail: { cart } })
-      );
+      if (group.items.length === 0) {
+        lines.push(`  ${this.t('systemBuilderExportNoProducts')}`);
+      }
 
-      // Clear all selections after successful add
-      this.clearAllSelections();
+      group.items.forEach(item => {
+        const sku = item.sku ? ` (${this.t('systemBuilderExportSku')}: ${item.sku})` : '';
+        lines.push(`  ${item.quantity} × ${item.title}${sku} – ${this.formatMoney(item.lineTotal)}`);
+        if (item.backorderDate) lines.push(`    ${this.t('systemBuilderExportBackorderDate')}: ${item.backorderDate}`);
+      });
 
-      button.textContent = originalText;
-      button.disabled = false;
+      lines.push('');
+    });
 
-    } catch (error) {
-      console.error('System Builder: Error adding to cart', error);
+    lines.push(`${this.t('systemBuilderExportSubtotal')}: ${this.formatMoney(sheet.subtotal)}`);
+    if (sheet.discount > 0) lines.push(`${sheet.discountLabel}: -${this.formatMoney(sheet.discount)}`);
+    lines.push(`${this.t('systemBuilderExportTotal')}: ${this.formatMoney(sheet.total)}`);
+    lines.push('', `${this.t('systemBuilderExportLink')}: ${sheet.link}`);
+
+    return lines.join('\n');
+  }
 
-      let errorText = 'Error - Try Again';
-      if (error.message === 'out_of_stock') {
-        errorText = 'Some items are out of stock';
-      } else if (error.message && error.message.length <= 30) {
-        errorText = error.message;
+  /**
+   * Get the build sheet as CSV, one row per product with decimal amounts in the active currency
+   */
+  getBuildSheetCsv(sheet = this.getBuildSheet()) {
+    const toAmount = cents => (cents / 100).toFixed(this.currencyDecimals);
+    const toRow = cells => cells.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',');
+
+    const rows = [[
+      '',
+      this.t('systemBuilderExportProduct'),
+      this.t('systemBuilderExportSku'),
+      this.t('systemBuilderExportQuantity'),
+      this.t('systemBuilderExportPrice'),
+      this.t('systemBuilderExportLineTotal'),
+      this.t('systemBuilderExportBackorderDate'),
+      this.t('systemBuilderExportCurrency')
+    ]];
+
+    sheet.groups.forEach(group => {
+      if (group.items.length === 0) {
+        rows.push([group.title, this.t('systemBuilderExportNoProducts'), '', '', '', '', '', '']);
       }
 
-      button.textContent = errorText;
-      setTimeout(() => {
-        button.textContent = originalText;
-        button.disabled = false;
-      }, 2500);
-    }
+      group.items.forEach(item => {
+        rows.push([group.title, item.title, item.sku, item.quantity, toAmount(item.price), toAmount(item.lineTotal), item.backorderDate, sheet.currency]);
+      });
+    });
+
+    rows.push(['', this.t('systemBuilderExportSubtotal'), '', '', '', toAmount(sheet.subtotal), '', sheet.currency]);
+    if (sheet.discount > 0) rows.push(['', sheet.discountLabel, '', '', '', `-${toAmount(sheet.discount)}`, '', sheet.currency]);
+    rows.push(['', this.t('systemBuilderExportTotal'), '', '', '', toAmount(sheet.total), '', sheet.currency]);
+    rows.push(['', this.t('systemBuilderExportLink'), sheet.link, '', '', '', '', '']);
+
+    return rows.map(toRow).join('\r\n');
   }
 
   /**
-   * Update cart count in header
+   * Create the print view of the build sheet (text only, nothing from the store's data is parsed as HTML)
    */
-  updateCartCount(count) {
-    const selectors = [
-      '.cart-count', '.cart-count-bubble', '[data-cart-count]', '.cart__count',
-      '.header__cart-count', '#cart-icon-bubble', '.cart-icon__count',
-      '.js-cart-count', '[data-cart-item-count]', '.site-header__cart-count'
-    ];
+  createBuildSheetElement(sheet = this.getBuildSheet()) {
+    const createElement = (tag, className, text) => {
+      const element = document.createElement(tag);
+      if (className) element.className = className;
+      if (text !== undefined) element.textContent = text;
+      return element;
+    };
 
-    selectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(el => {
-        if (el.tagName !== 'SPAN' || !el.querySelector('span')) {
-          el.textContent = count;
-        }
-        if (count > 0) {
-          el.removeAttribute('hidden');
-          el.style.display = '';
+    const sheetEl = createElement('div', 'system-builder-sheet');
+    sheetEl.appendChild(createElement('h1', 'system-builder-sheet__title', sheet.title));
+
+    const table = createElement('table', 'system-builder-sheet__table');
+    const headRow = table.createTHead().insertRow();
+    [
+      this.t('systemBuilderExportProduct'),
+      this.t('systemBuilderExportSku'),
+      this.t('systemBuilderExportQuantity'),
+      this.t('systemBuilderExportPrice'),
+      this.t('systemBuilderExportLineTotal')
+    ].forEach(label => headRow.appendChild(createElement('th', null, label)));
+
+    sheet.groups.forEach(group => {
+      const body = table.createTBody();
+      const groupCell = createElement('th', 'system-builder-sheet__group', group.title);
+      groupCell.colSpan = 5;
+      body.insertRow().appendChild(groupCell);
+
+      if (group.items.length === 0) {
+        const emptyCell = body.insertRow().insertCell();
+        emptyCell.colSpan = 5;
+        emptyCell.className = 'system-builder-sheet__empty';
+        emptyCell.textContent = this.t('systemBuilderExportNoProducts');
+      }
+
+      group.items.forEach(item => {
+        const row = body.insertRow();
+        const titleCell = row.insertCell();
+        titleCell.textContent = item.title;
+        if (item.backorderDate) {
+          titleCell.appendChild(createElement('span', 'system-builder-sheet__backorder',
+            `${this.t('systemBuilderExportBackorderDate')}: ${item.backorderDate}`));
         }
+        row.insertCell().textContent = item.sku;
+        row.insertCell().textContent = item.quantity;
+        row.insertCell().textContent = this.formatMoney(item.price);
+        row.insertCell().textContent = this.formatMoney(item.lineTotal);
       });
     });
+
+    const foot = table.createTFoot();
+    const addTotalRow = (label, amount) => {
+      const row = foot.insertRow();
+      const labelCell = createElement('th', null, label);
+      labelCell.colSpan = 4;
+      row.appendChild(labelCell);
+      row.insertCell().textContent = amount;
+    };
+    addTotalRow(this.t('systemBuilderExportSubtotal'), this.formatMoney(sheet.subtotal));
+    if (sheet.discount > 0) addTotalRow(sheet.discountLabel, `-${this.formatMoney(sheet.discount)}`);
+    addTotalRow(this.t('systemBuilderExportTotal'), this.formatMoney(sheet.total));
+
+    sheetEl.appendChild(table);
+    sheetEl.appendChild(createElement('p', 'system-builder-sheet__link', `${this.t('systemBuilderExportLink')}: ${sheet.link}`));
+
+    return sheetEl;
   }
 
   /**
-   * Format money value
+   * Print the build sheet in place of the page, see the print styles of system-builder.css
    */
-  formatMoney(cents) {
-    if (typeof cents !== 'number') return '';
-    if (window.Shopify?.formatMoney) return window.Shopify.formatMoney(cents);
-    return `$${(cents / 100).toFixed(2)}`;
+  printBuildSheet() {
+    document.querySelectorAll('.system-builder-sheet').forEach(element => element.remove());
+
+    const sheetEl = this.createBuildSheetElement();
+    document.body.appendChild(sheetEl);
+    document.documentElement.classList.add('is-printing-build-sheet');
+
+    window.addEventListener('afterprint', () => {
+      document.documentElement.classList.remove('is-printing-build-sheet');
+      sheetEl.remove();
+    }, { once: true });
+
+    window.print();
+  }
+
+  /**
+   * Copy the build sheet as plain text, confirming on the button
+   */
+  async copyBuildSheet(button) {
+    const originalText = button.dataset.originalText || button.textContent;
+    button.dataset.originalText = originalText;
+
+    try {
+      await navigator.clipboard.writeText(this.getBuildSheetText());
+      button.textContent = this.t('systemBuilderExportCopied');
+    } catch (error) {
+      console.error('System Builder: Unable to copy the build sheet', error);
+      button.textContent = this.t('systemBuilderExportCopyError');
+    }
+
+    clearTimeout(this.copyFeedbackTimeout);
+    this.copyFeedbackTimeout = setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  }
+
+  /**
+   * Download the build sheet as a CSV file
+   */
+  downloadBuildSheetCsv() {
+    // The byte order mark lets spreadsheet apps read the file as UTF-8
+    const blob = new Blob(['\uFEFF', this.getBuildSheetCsv()], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'kapture-system-build.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Remove the cart lines of a previously added build, then bring the bundle attributes and discount
+   * codes of the cart in line with the builds left (see system-cart.js)
+   */
+  async removeBuildFromCart(buildId) {
+    const root = window.Shopify?.routes?.root || '/';
+    const cartResponse = await fetch(`${root}cart.js`, { headers: { 'Accept': 'application/json' } });
+    const cart = await cartResponse.json();
+
+    const removedItems = cart.items.filter(item => item.properties?.['_Build ID'] === buildId);
+    if (removedItems.length === 0) return;
+
+    const updateResponse = await fetch(`${root}cart/update.js`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ updates: Object.fromEntries(removedItems.map(item => [item.key, 0])) })
+    });
+
+    if (updateResponse.ok) {
+      const removedCodes = removedItems.map(item => item.properties['_Bundle Code']);
+      await window.systemCart.syncBundles(await updateResponse.json(), removedCodes);
+    }
+  }
+
+  /**
+   * Stop editing a cart build and drop its reference from the URL
+   */
+  clearEditingBuild() {
+    this.editingBuildId = null;
+
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(this.BUILD_URL_PARAM) || !window.history?.replaceState) return;
+
+    url.searchParams.delete(this.BUILD_URL_PARAM);
+    window.history.replaceState(window.history.state, '', url.href);
+  }
+
+  /**
+   * Clear all selections and reset the UI
+   */
+  clearAllSelections() {
+    // Clear selected products
+    this.selectedProducts = {};
+
+    // Deselect all product cards visually
+    this.querySelectorAll('[data-product-card]').forEach(card => {
+      card.classList.remove('system-builder__product-card--selected');
+      card.setAttribute('aria-pressed', 'false');
+    });
+
+    // Update summary to show empty state
+    this.updateSummary();
+  }
+
+  /**
+   * Get the quantities selected within an optic config for a product type, keyed by variant ID
+   */
+  getConfigQuantities(configId, productType) {
+    const quantities = {};
+
+    Object.values(this.selectedProducts).forEach(product => {
+      if (product?.configId === String(configId) && product.productType === productType) {
+        quantities[product.id] = product.quantity || 1;
+      }
+    });
+
+    return quantities;
+  }
+
+  /**
+   * Get the case quantities selected within a phone config, keyed by variant ID
+   */
+  getPhoneConfigQuantities(phoneConfigId) {
+    const quantities = {};
+
+    Object.values(this.selectedProducts).forEach(product => {
+      if (product?.phoneConfigId === String(phoneConfigId)) {
+        quantities[product.id] = product.quantity || 1;
+      }
+    });
+
+    return quantities;
+  }
+
+  /**
+   * Serialize the full builder state into a compact snapshot.
+   * Format: { v, o: [{ b, m, d, r: { variantId: quantity }, g: { variantId: quantity } }], p: [{ b, m, c: { variantId: quantity } }], q: { variantId: quantity } }
+   * Ring mounts (r) and mag rings (g) live in their optic config, phone cases (c) in their phone config;
+   * q holds every other product.
+   * d is the eyepiece diameter (mm) of an optic that isn't listed, in place of its model (m).
+   */
+  serializeState() {
+    const snapshot = { v: this.STATE_VERSION };
+
+    // Optics waiting for the optic catalog are kept as they were restored
+    const optics = this.pendingOptics
+      ? this.pendingOptics.map(opticSnapshot => opticSnapshot || {})
+      : this.opticConfigs.map(config => this.serializeOpticConfig(config));
+
+    // Trailing empty configs carry no information
+    while (optics.length > 0 && Object.keys(optics[optics.length - 1]).length === 0) {
+      optics.pop();
+    }
+    if (optics.length > 0) snapshot.o = optics;
+
+    const phones = this.phoneConfigs.map(config => {
+      const phoneSnapshot = {};
+      if (config.phoneBrand) phoneSnapshot.b = config.phoneBrand;
+      if (config.phoneModel) phoneSnapshot.m = config.phoneModel;
+
+      const phoneCases = this.getPhoneConfigQuantities(config.id);
+      if (Object.keys(phoneCases).length > 0) phoneSnapshot.c = phoneCases;
+
+      return phoneSnapshot;
+    });
+
+    while (phones.length > 0 && Object.keys(phones[phones.length - 1]).length === 0) {
+      phones.pop();
+    }
+    if (phones.length > 0) snapshot.p = phones;
+
+    // Restored accessories that aren't displayed yet are kept while their cards may still show up,
+    // see applyPendingAccessories
+    const isLoadingAccessories = !this.isCatalogLoaded || [...this.complementaryAccessories.values()].includes(null);
+    const quantities = isLoadingAccessories ? { ...this.pendingAccessoryQuantities } : {};
+    Object.values(this.selectedProducts).forEach(product => {
+      if (product && product.configId == null && product.phoneConfigId == null) {
+        quantities[product.id] = product.quantity || 1;
+      }
+    });
+    if (Object.keys(quantities).length > 0) snapshot.q = quantities;
+
+    return snapshot;
+  }
+
+  /**
+   * Serialize a single optic config, see serializeState
+   */
+  serializeOpticConfig(config) {
+    const opticSnapshot = {};
+    if (config.opticBrand) opticSnapshot.b = config.opticBrand;
+    if (config.opticModel) opticSnapshot.m = config.opticModel;
+    if (config.eyepieceDiameter) opticSnapshot.d = config.eyepieceDiameter;
+
+    const ringMounts = this.getConfigQuantities(config.id, 'ring-mount');
+    const magRings = this.getConfigQuantities(config.id, 'mag-ring');
+    if (Object.keys(ringMounts).length > 0) opticSnapshot.r = ringMounts;
+    if (Object.keys(magRings).length > 0) opticSnapshot.g = magRings;
+
+    return opticSnapshot;
+  }
+
+  /**
+   * Upgrade snapshots written by older versions of the builder
+   */
+  migrateState(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return null;
+
+    // v1 stored optic variant IDs as arrays and their combined quantities in q
+    if (snapshot.v === 1) {
+      const quantities = { ...(snapshot.q || {}) };
+      const toQuantities = ids => Object.fromEntries((Array.isArray(ids) ? ids : []).map(id => [id, 1]));
+      const optics = (snapshot.o || []).map(opticSnapshot => {
+        const upgraded = { ...opticSnapshot, r: toQuantities(opticSnapshot.r), g: toQuantities(opticSnapshot.g) };
+        [...Object.keys(upgraded.r), ...Object.keys(upgraded.g)].forEach(id => delete quantities[id]);
+        return upgraded;
+      });
+
+      snapshot = { ...snapshot, v: 2, o: optics, q: quantities };
+    }
+
+    // v2 stored a single phone (p: { b, m }) with its case in q
+    if (snapshot.v === 2) {
+      const quantities = { ...(snapshot.q || {}) };
+      const phones = (snapshot.p ? [snapshot.p] : []).map(phoneSnapshot => {
+        const caseId = this.data.phoneModels.find(model => model.handle === phoneSnapshot.m)?.phoneCase?.id;
+        if (caseId == null || quantities[caseId] === undefined) return { ...phoneSnapshot };
+
+        const upgraded = { ...phoneSnapshot, c: { [caseId]: quantities[caseId] } };
+        delete quantities[caseId];
+        return upgraded;
+      });
+
+      snapshot = { ...snapshot, v: 3, q: quantities };
+      if (phones.length > 0) {
+        snapshot.p = phones;
+      } else {
+        delete snapshot.p;
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Check whether a snapshot holds anything worth restoring or sharing
+   */
+  isEmptyState(snapshot) {
+    return !snapshot || (!snapshot.o && !snapshot.p && !snapshot.q);
+  }
+
+  /**
+   * Restore a serialized snapshot by replaying chip and card selections.
+   * Brands, models or variants that no longer exist are skipped. Until the optic catalog is loaded, the
+   * optics are kept in pendingOptics, see initializeOptics.
+   */
+  restoreState(snapshot) {
+    snapshot = this.migrateState(snapshot);
+    if (!snapshot || snapshot.v !== this.STATE_VERSION) return false;
+
+    const wasRestoring = this.isRestoring;
+    this.isRestoring = true;
+
+    try {
+      const optics = Array.isArray(snapshot.o) ? snapshot.o.slice(0, this.MAX_OPTIC_CONFIGS) : [];
+
+      if (this.isCatalogLoaded) {
+        optics.forEach((opticSnapshot, index) => {
+          const configId = index === 0 ? this.opticConfigs[0]?.id : this.addOpticConfiguration();
+          if (configId == null) return;
+          this.restoreOpticConfig(configId, opticSnapshot || {});
+        });
+      } else {
+        this.pendingOptics = optics.length > 0 ? optics : null;
+      }
+
+      const phones = Array.isArray(snapshot.p) ? snapshot.p.slice(0, this.MAX_PHONE_CONFIGS) : [];
+
+      phones.forEach((phoneSnapshot, index) => {
+        const phoneConfigId = index === 0 ? this.phoneConfigs[0]?.id : this.addPhoneConfiguration();
+        if (phoneConfigId == null) return;
+        this.restorePhoneConfig(phoneConfigId, phoneSnapshot || {});
+      });
+
+      const quantities = snapshot.q && typeof snapshot.q === 'object' ? snapshot.q : {};
+
+      // Accessories recommended by the restored optics and phones
+      this.displayAccessories();
+
+      // Select products outside optic and phone configs (adapter, accessories)
+      Object.entries(quantities).forEach(([variantId, quantity]) => {
+        const selectionKey = this.getSelectionKey(variantId);
+
+        if (!this.selectedProducts[selectionKey]) {
+          const card = this.getCardsForSelection(selectionKey)[0];
+          if (card) {
+            this.handleProductCardClick(card);
+          } else {
+            // Complementary recommendations are shown once loaded, see applyPendingAccessories
+            this.pendingAccessoryQuantities[variantId] = quantity;
+            return;
+          }
+        }
+
+        this.applyRestoredQuantity(selectionKey, quantity);
+      });
+    } catch (e) {
+      console.error('System Builder: Error restoring configuration', e);
+    } finally {
+      this.isRestoring = wasRestoring;
+    }
+
+    return true;
+  }
+
+  /**
+   * Restore a single optic config from its snapshot
+   */
+  restoreOpticConfig(configId, opticSnapshot) {
+    const configEl = this.querySelector(`[data-optic-config="${configId}"]`);
+    if (!configEl || (!opticSnapshot.b && !opticSnapshot.d)) return;
+
+    const brandSelected = Boolean(opticSnapshot.b) && this.selectChip(configEl, 'optic-brand', opticSnapshot.b);
+
+    if (opticSnapshot.d) {
+      // Unlisted optic, matched again from its eyepiece diameter
+      const fitFinder = configEl.querySelector('optic-fit-finder');
+      if (!fitFinder?.setDiameter) return;
+      fitFinder.setDiameter(opticSnapshot.d);
+    } else if (!brandSelected || !opticSnapshot.m || !this.selectChip(configEl, 'optic-model', opticSnapshot.m)) {
+      return;
+    }
+
+    [['ring-mount', opticSnapshot.r], ['mag-ring', opticSnapshot.g]].forEach(([productType, quantities]) => {
+      Object.entries(quantities && typeof quantities === 'object' ? quantities : {}).forEach(([variantId, quantity]) => {
+        const card = configEl.querySelector(
+          `[data-product-card][data-product-type="${productType}"][data-variant-id="${CSS.escape(String(variantId))}"]`
+        );
+        if (card && !card.classList.contains('system-builder__product-card--selected')) {
+          this.handleProductCardClick(card);
+        }
+
+        this.applyRestoredQuantity(this.getSelectionKey(variantId, configId), quantity);
+      });
+    });
+  }
+
+  /**
+   * Restore a single phone config from its snapshot
+   */
+  restorePhoneConfig(phoneConfigId, phoneSnapshot) {
+    const configEl = this.querySelector(`[data-phone-config="${phoneConfigId}"]`);
+    if (!configEl || !phoneSnapshot.b) return;
+
+    if (!this.selectChip(configEl, 'phone-brand', phoneSnapshot.b)) return;
+    if (!phoneSnapshot.m || !this.selectChip(configEl, 'phone-model', phoneSnapshot.m)) return;
+
+    Object.entries(phoneSnapshot.c && typeof phoneSnapshot.c === 'object' ? phoneSnapshot.c : {}).forEach(([variantId, quantity]) => {
+      const card = configEl.querySelector(`[data-product-card][data-variant-id="${CSS.escape(String(variantId))}"]`);
+      if (card && !card.classList.contains('system-builder__product-card--selected')) {
+        this.handleProductCardClick(card);
+      }
+
+      this.applyRestoredQuantity(this.getPhoneSelectionKey(variantId, phoneConfigId), quantity);
+    });
+  }
+
+  /**
+   * Apply a stored quantity to a restored selection
+   */
+  applyRestoredQuantity(selectionKey, quantity) {
+    const product = this.selectedProducts[selectionKey];
+    const parsed = parseInt(quantity, 10);
+    if (product && parsed > 0) {
+      product.quantity = Math.min(parsed, this.MAX_RESTORED_QUANTITY);
+    }
+  }
+
+  /**
+   * Find a chip by field and value within a scope and select it.
+   * Returns false when the chip no longer exists (e.g. retired metaobject).
+   */
+  selectChip(scope, field, value) {
+    const chip = scope.querySelector(`[data-chip][data-field="${field}"][data-value="${CSS.escape(String(value))}"]`);
+    if (!chip) return false;
+
+    this.handleChipClick(chip);
+    return true;
+  }
+
+  /**
+   * Encode a snapshot as URL-safe base64
+   */
+  encodeState(snapshot) {
+    const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a URL-safe base64 snapshot, returning null if it is malformed
+   */
+  decodeState(value) {
+    try {
+      const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+      const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+      const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+      const snapshot = JSON.parse(new TextDecoder().decode(bytes));
+      return snapshot && typeof snapshot === 'object' ? snapshot : null;
+    } catch (e) {
+      console.warn('System Builder: Ignoring invalid shared configuration', e);
+      return null;
+    }
+  }
+
+  /**
+   * Read a shared snapshot from the current URL
+   */
+  readStateFromUrl() {
+    const value = new URL(window.location.href).searchParams.get(this.STATE_URL_PARAM);
+    return value ? this.decodeState(value) : null;
+  }
+
+  /**
+   * Write the current state to the URL without adding a history entry
+   */
+  syncStateToUrl(snapshot = this.serializeState()) {
+    if (this.isRestoring || !window.history?.replaceState) return;
+
+    const url = new URL(window.location.href);
+
+    if (this.isEmptyState(snapshot)) {
+      url.searchParams.delete(this.STATE_URL_PARAM);
+    } else {
+      url.searchParams.set(this.STATE_URL_PARAM, this.encodeState(snapshot));
+    }
+
+    if (url.href !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url.href);
+    }
+  }
+
+  /**
+   * Read the saved session, discarding it if its schema is outdated or it has expired
+   */
+  readSession(rawValue) {
+    try {
+      const raw = rawValue !== undefined ? rawValue : localStorage.getItem(this.SESSION_STORAGE_KEY);
+      if (!raw) return null;
+
+      const session = JSON.parse(raw);
+      if (!session || session.v !== this.SESSION_VERSION || !session.state) return null;
+      if (Date.now() - (session.savedAt || 0) > this.SESSION_MAX_AGE) return null;
+
+      return session;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the current state so the build survives reloads and is shared with other tabs
+   */
+  saveSession(snapshot = this.serializeState()) {
+    if (this.isRestoring) return;
+
+    const stateJson = JSON.stringify(snapshot);
+    if (stateJson === this.lastSessionState) return;
+    this.lastSessionState = stateJson;
+
+    try {
+      if (this.isEmptyState(snapshot)) {
+        localStorage.removeItem(this.SESSION_STORAGE_KEY);
+      } else {
+        localStorage.setItem(this.SESSION_STORAGE_KEY, JSON.stringify({
+          v: this.SESSION_VERSION,
+          savedAt: Date.now(),
+          state: snapshot
+        }));
+      }
+    } catch (e) {
+      // Safari in private mode does not allow setting item, we silently fail
+    }
+  }
+
+  /**
+   * Remove the saved session
+   */
+  clearSession() {
+    this.lastSessionState = null;
+
+    try {
+      localStorage.removeItem(this.SESSION_STORAGE_KEY);
+    } catch (e) {
+      // Storage may be unavailable, nothing to clear
+    }
+  }
+
+  /**
+   * Apply a session saved by another tab so open tabs don't diverge
+   */
+  handleStorageChange(event) {
+    if (event.key !== this.SESSION_STORAGE_KEY) return;
+
+    const snapshot = this.readSession(event.newValue)?.state || null;
+    const stateJson = snapshot ? JSON.stringify(snapshot) : null;
+    if (stateJson === this.lastSessionState) return;
+
+    this.isRestoring = true;
+    try {
+      this.resetBuilder();
+      if (snapshot) this.restoreState(snapshot);
+    } finally {
+      this.isRestoring = false;
+    }
+
+    // Adopt the incoming state as ours so it isn't written back, nor undone
+    this.lastSessionState = stateJson;
+    this.resetHistory();
+    this.updateSummary();
+  }
+
+  /**
+   * Reset every optic config, the phone selection and all selected products
+   */
+  resetBuilder() {
+    // Remove every optic config except the first one
+    this.opticConfigs.slice(1).forEach(config => this.removeOpticConfiguration(config.id));
+
+    const firstConfig = this.opticConfigs[0];
+    const firstConfigEl = firstConfig ? this.querySelector(`[data-optic-config="${firstConfig.id}"]`) : null;
+    if (firstConfig && firstConfigEl) {
+      this.clearOpticProducts(firstConfig.id);
+      this.clearEyepieceDiameter(firstConfig.id);
+      firstConfig.opticBrand = null;
+      firstConfig.opticModel = null;
+
+      this.resetChips(firstConfigEl.querySelector('[data-chips="optic-brand"]'));
+      this.hideModelField(firstConfigEl.querySelector('[data-field="optic-model"]'));
+
+      const notice = firstConfigEl.querySelector('[data-model-notice]');
+      if (notice) notice.hidden = true;
+    }
+
+    // Remove every phone config except the first one, then reset it
+    this.phoneConfigs.slice(1).forEach(config => this.removePhoneConfiguration(config.id));
+
+    const firstPhoneConfig = this.phoneConfigs[0];
+    const firstPhoneConfigEl = firstPhoneConfig ? this.querySelector(`[data-phone-config="${firstPhoneConfig.id}"]`) : null;
+    if (firstPhoneConfig && firstPhoneConfigEl) {
+      firstPhoneConfig.phoneBrand = null;
+      firstPhoneConfig.phoneModel = null;
+      firstPhoneConfig.phoneCase = null;
+      this.resetChips(firstPhoneConfigEl.querySelector('[data-chips="phone-brand"]'));
+      this.hideModelField(firstPhoneConfigEl.querySelector('[data-field="phone-model"]'));
+
+      const phoneCaseDisplay = firstPhoneConfigEl.querySelector('[data-product="phone-case"]');
+      if (phoneCaseDisplay) phoneCaseDisplay.hidden = true;
+    }
+
+    this.querySelectorAll('[data-search]').forEach(search => this.resetSearch(search));
+
+    this.pendingOptics = null;
+    this.pendingAccessoryQuantities = {};
+    this.clearAllSelections();
+  }
+
+  /**
+   * Deselect every chip in a chip container
+   */
+  resetChips(container) {
+    container?.querySelectorAll('[data-chip]').forEach(chip => {
+      chip.classList.remove('system-builder__chip--selected');
+      chip.setAttribute('aria-pressed', 'false');
+    });
+  }
+
+  /**
+   * Hide a model field and clear its chips
+   */
+  hideModelField(modelField) {
+    if (!modelField) return;
+
+    modelField.hidden = true;
+    const modelChips = modelField.querySelector('[data-chips]');
+    if (modelChips) modelChips.innerHTML = '';
+  }
+
+  /**
+   * Discard the current build and the saved session
+   */
+  startOver() {
+    this.reset();
+    this.showUndoToast(this.t('systemBuilderHistoryBuildCleared'));
+  }
+
+  /**
+   * Push the previous state on the undo stack when the build has changed.
+   * Restoring (a snapshot, another tab's session or an undo) doesn't create history entries.
+   */
+  recordHistory(snapshot) {
+    if (this.isRestoring) return;
+
+    const stateJson = JSON.stringify(snapshot);
+    if (stateJson === this.historyState) return;
+
+    if (this.historyState !== null) {
+      this.undoStack.push(this.historyState);
+      if (this.undoStack.length > this.MAX_HISTORY) this.undoStack.shift();
+      this.redoStack = [];
+    }
+
+    this.historyState = stateJson;
+  }
+
+  /**
+   * Forget the undo history, the next recorded state becomes the starting point
+   */
+  resetHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyState = null;
+    this.hideUndoToast();
+  }
+
+  /**
+   * Go back to the state before the last change
+   */
+  undo() {
+    if (this.undoStack.length === 0) return;
+
+    this.redoStack.push(this.historyState);
+    this.applyHistoryState(this.undoStack.pop());
+  }
+
+  /**
+   * Re-apply the last undone change
+   */
+  redo() {
+    if (this.redoStack.length === 0) return;
+
+    this.undoStack.push(this.historyState);
+    this.applyHistoryState(this.redoStack.pop());
+  }
+
+  /**
+   * Rebuild the configs, chips and cards from a state of the history
+   */
+  applyHistoryState(stateJson) {
+    this.isRestoring = true;
+    try {
+      this.resetBuilder();
+      this.restoreState(JSON.parse(stateJson));
+    } finally {
+      this.isRestoring = false;
+    }
+
+    // Products that no longer exist are skipped, so record what was actually restored
+    this.historyState = JSON.stringify(this.serializeState());
+    this.hideUndoToast();
+    this.updateSummary();
+  }
+
+  /**
+   * Offer to undo the change that was just made
+   */
+  showUndoToast(message) {
+    const toast = this.querySelector('[data-undo-toast]');
+    if (!toast || this.undoStack.length === 0) return;
+
+    const messageEl = toast.querySelector('[data-undo-toast-message]');
+    if (messageEl) messageEl.textContent = message;
+    toast.hidden = false;
+
+    clearTimeout(this.undoToastTimeout);
+    this.undoToastTimeout = setTimeout(() => this.hideUndoToast(), this.UNDO_TOAST_DURATION);
+  }
+
+  /**
+   * Hide the undo toast
+   */
+  hideUndoToast() {
+    clearTimeout(this.undoToastTimeout);
+
+    const toast = this.querySelector('[data-undo-toast]');
+    if (toast) toast.hidden = true;
+  }
+
+  /**
+   * Set up wizard mode, showing one step at a time
+   */
+  initializeWizard(startStep) {
+    this.wizardSteps = [...this.querySelectorAll('[data-progress-step]')].map(item => item.dataset.progressStep);
+    if (this.wizardSteps.length === 0) return;
+
+    // Coming back to the page (or reloading) reopens the step recorded in history
+    const historyStep = window.history.state?.systemBuilderStep;
+    const step = this.wizardSteps.includes(historyStep) ? historyStep : (startStep || this.wizardSteps[0]);
+
+    this.showWizardStep(step);
+    window.history.replaceState({ ...window.history.state, systemBuilderStep: step }, '');
+    window.addEventListener('popstate', this._onPopStateListener);
+  }
+
+  /**
+   * Show a wizard step and record it in history so the browser back button returns to the previous step
+   * (systemBuilderPreviousStep, see handleWizardBack)
+   */
+  goToWizardStep(step) {
+    if (!this.wizardSteps?.includes(step) || step === this.currentStep) return;
+
+    const previousStep = this.currentStep;
+    this.showWizardStep(step);
+    window.history.pushState({ ...window.history.state, systemBuilderStep: step, systemBuilderPreviousStep: previousStep }, '');
+    this.scrollToWizard();
+  }
+
+  /**
+   * Bring the top of the builder back into view when moving between steps
+   */
+  scrollToWizard() {
+    if (this.getBoundingClientRect().top < 0) {
+      this.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Update the visible step, progress indicator and navigation buttons
+   */
+  showWizardStep(step) {
+    const stepIndex = this.wizardSteps.indexOf(step);
+
+    this.currentStep = step;
+    this.dataset.currentStep = step;
+    this.hideWizardError();
+
+    this.querySelectorAll('[data-step]').forEach(stepEl => {
+      stepEl.classList.toggle('system-builder__wizard-step--current', stepEl.dataset.step === step);
+    });
+
+    this.querySelectorAll('[data-progress-step]').forEach((item, index) => {
+      const isCurrent = index === stepIndex;
+      const button = item.querySelector('[data-wizard-goto]');
+
+      item.classList.toggle('system-builder__progress-step--current', isCurrent);
+      item.classList.toggle('system-builder__progress-step--complete', index < stepIndex);
+      if (isCurrent) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+
+      // Only steps already passed can be jumped back to
+      if (button) button.disabled = index >= stepIndex;
+    });
+
+    const backBtn = this.querySelector('[data-wizard-back]');
+    const nextBtn = this.querySelector('[data-wizard-next]');
+    const skipBtn = this.querySelector('[data-wizard-skip]');
+    const nextStep = this.wizardSteps[stepIndex + 1];
+
+    if (backBtn) backBtn.hidden = stepIndex === 0;
+    if (skipBtn) skipBtn.hidden = !['optics', 'phone'].includes(step);
+    if (nextBtn) {
+      nextBtn.hidden = !nextStep;
+      nextBtn.textContent = this.t(nextStep === 'review' ? 'systemBuilderWizardReview' : 'systemBuilderWizardNext');
+    }
+  }
+
+  /**
+   * Check the current step can be left, returning an error message if it can't
+   */
+  validateWizardStep(step) {
+    if (step === 'optics') {
+      const incompleteIndex = this.opticConfigs.findIndex(config => !config.opticModel && !config.eyepieceDiameter);
+      if (incompleteIndex === -1) return null;
+
+      return this.opticConfigs.length > 1
+        ? this.t('systemBuilderOpticIncomplete', { number: incompleteIndex + 1 })
+        : this.t('systemBuilderOpticRequired');
+    }
+
+    if (step === 'phone') {
+      const incompleteIndex = this.phoneConfigs.findIndex(config => config.phoneBrand && !config.phoneModel);
+      if (incompleteIndex === -1) return null;
+
+      return this.phoneConfigs.length > 1
+        ? this.t('systemBuilderPhoneIncomplete', { number: incompleteIndex + 1 })
+        : this.t('systemBuilderPhoneRequired');
+    }
+
+    return null;
+  }
+
+  /**
+   * Move to the next step once the current one is valid
+   */
+  handleWizardNext() {
+    const error = this.validateWizardStep(this.currentStep);
+    if (error) {
+      this.showWizardError(error);
+      return;
+    }
+
+    this.goToWizardStep(this.wizardSteps[this.wizardSteps.indexOf(this.currentStep) + 1]);
+  }
+
+  /**
+   * Move to the next step without validating the current one
+   */
+  handleWizardSkip() {
+    this.goToWizardStep(this.wizardSteps[this.wizardSteps.indexOf(this.currentStep) + 1]);
+  }
+
+  /**
+   * Move to the previous step
+   */
+  handleWizardBack() {
+    const previousStep = this.wizardSteps[this.wizardSteps.indexOf(this.currentStep) - 1];
+    if (!previousStep) return;
+
+    // Going back through history keeps this button and the browser back button in step (see handlePopState).
+    // When the previous history entry is another step (jumped from, or none), the current entry is replaced
+    if (window.history.state?.systemBuilderPreviousStep === previousStep) {
+      window.history.back();
+      return;
+    }
+
+    this.showWizardStep(previousStep);
+    window.history.replaceState({ ...window.history.state, systemBuilderStep: previousStep }, '');
+    this.scrollToWizard();
+  }
+
+  /**
+   * Follow the browser back and forward buttons between steps
+   */
+  handlePopState(event) {
+    const step = event.state?.systemBuilderStep;
+    this.showWizardStep(this.wizardSteps.includes(step) ? step : this.wizardSteps[0]);
+  }
+
+  /**
+   * Show why the current step can't be left
+   */
+  showWizardError(message) {
+    const errorEl = this.querySelector('[data-wizard-error]');
+    if (!errorEl) return;
+
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  }
+
+  /**
+   * Hide the wizard validation error
+   */
+  hideWizardError() {
+    const errorEl = this.querySelector('[data-wizard-error]');
+    if (errorEl) errorEl.hidden = true;
+  }
+
+  /**
+   * Get the name of a selected product as shown to the shopper
+   */
+  getProductDisplayTitle(product) {
+    if (!product.productTitle) return product.title || this.t('systemBuilderProductFallbackTitle');
+
+    return product.title && product.title !== 'Default Title'
+      ? `${product.productTitle} - ${product.title}`
+      : product.productTitle;
+  }
+
+  /**
+   * Get the accessible label of a product card, with its stock status
+   */
+  getProductCardLabel(displayTitle, isBackorder, isOutOfStock) {
+    const label = this.t('systemBuilderProductCardLabel', { title: displayTitle });
+    const status = isBackorder
+      ? this.t('systemBuilderProductInProduction')
+      : isOutOfStock ? this.t('systemBuilderProductOutOfStock') : '';
+
+    return status ? `${label} (${status})` : label;
+  }
+
+  /**
+   * Fetch live inventory for the given products, keyed by variant ID
+   */
+  async fetchVariantInventory(products) {
+    const root = window.Shopify?.routes?.root || '/';
+    const handles = [...new Set(products.map(product => product.productHandle).filter(Boolean))];
+    const inventory = new Map();
+
+    await Promise.all(handles.map(async handle => {
+      const response = await fetch(`${root}products/${handle}?section_id=system-builder-inventory`);
+
+      // A product that no longer exists makes all of its variants unavailable
+      if (response.status === 404) {
+        products.filter(product => product.productHandle === handle).forEach(product => {
+          inventory.set(String(product.id), { available: false });
+        });
+        return;
+      }
+
+      if (!response.ok) throw new Error(`Failed to load inventory for ${handle}`);
+
+      const html = await response.text();
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const variants = JSON.parse(doc.querySelector('[data-system-builder-inventory]')?.textContent || '[]');
+
+      variants.forEach(variant => {
+        inventory.set(String(variant.id), variant);
+      });
+    }));
+
+    return inventory;
+  }
+
+  /**
+   * Call a function for every variant embedded in the builder data
+   */
+  forEachVariantData(callback) {
+    const toList = variants => Array.isArray(variants) ? variants : (variants ? [variants] : []);
+
+    this.data.opticModels.forEach(model => {
+      toList(model.ringMount).forEach(callback);
+      toList(model.magRing).forEach(callback);
+    });
+    this.data.phoneModels.forEach(model => toList(model.phoneCase).forEach(callback));
+    toList(this.data.adapterProduct).forEach(callback);
+    this.getAccessories().forEach(callback);
+  }
+
+  /**
+   * Re-fetch availability for every selected variant and update cards and summary in place
+   */
+  async refreshInventory() {
+    const products = Object.values(this.selectedProducts).filter(product => product?.id);
+    if (products.length === 0) return;
+
+    const inventory = await this.fetchVariantInventory(products);
+    const stockFields = ['available', 'inventoryManagement', 'inventoryPolicy', 'inventoryQuantity', 'backorderDate'];
+    const applyStock = variantData => {
+      const stock = inventory.get(String(variantData.id));
+      if (!stock) return;
+
+      stockFields.forEach(field => {
+        if (field in stock) variantData[field] = stock[field];
+      });
+    };
+
+    // Keep the embedded data fresh too, so cards rendered later show the current stock
+    this.forEachVariantData(applyStock);
+    products.forEach(applyStock);
+
+    inventory.forEach((stock, variantId) => {
+      const variantData = products.find(product => String(product.id) === variantId);
+      if (!variantData) return;
+
+      this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
+        this.updateProductCardStock(card, variantData);
+      });
+    });
+
+    this.lastInventoryCheck = Date.now();
+    this.updateSummary();
+  }
+
+  /**
+   * Refresh inventory when the summary scrolls into view, at most once per INVENTORY_MAX_AGE
+   */
+  handleSummaryVisible(entries) {
+    if (!entries.some(entry => entry.isIntersecting)) return;
+    if (Date.now() - this.lastInventoryCheck < this.INVENTORY_MAX_AGE) return;
+
+    this.refreshInventory().catch(error => {
+      console.warn('System Builder: Unable to refresh inventory', error);
+    });
+  }
+
+  /**
+   * Update a product card's stock classes and badges without re-rendering it
+   */
+  updateProductCardStock(card, variantData) {
+    const { isAvailable, isBackorder, isOutOfStock } = this.getStockState(variantData);
+
+    card.dataset.available = String(isAvailable);
+    card.dataset.backorder = String(isBackorder);
+    card.classList.toggle('system-builder__product-card--backorder', isBackorder);
+    card.classList.toggle('system-builder__product-card--out-of-stock', isOutOfStock);
+
+    card.setAttribute('aria-label', this.getProductCardLabel(this.getProductDisplayTitle(variantData), isBackorder, isOutOfStock));
+
+    card.querySelectorAll('.system-builder__backorder-badge, .system-builder__out-of-stock-badge, .system-builder__stock-status')
+      .forEach(el => el.remove());
+
+    card.querySelector('.system-builder__product-image')?.insertAdjacentHTML('beforebegin',
+      this.getBackorderBadgeHtml(variantData)
+      + (isOutOfStock ? `<div class="system-builder__out-of-stock-badge">${this.t('systemBuilderProductOutOfStock')}</div>` : '')
+    );
+
+    if (isOutOfStock) {
+      card.querySelector('.system-builder__product-info')?.insertAdjacentHTML('beforeend',
+        `<p class="system-builder__stock-status">${this.t('systemBuilderProductOutOfStockMessage')}</p>`
+      );
+    }
+  }
+
+  /**
+   * Get the total quantity requested for a variant across every selection
+   */
+  getRequestedQuantity(variantId) {
+    return Object.values(this.selectedProducts)
+      .filter(product => String(product?.id) === String(variantId))
+      .reduce((total, product) => total + (product.quantity || 1), 0);
+  }
+
+  /**
+   * Describe why a selected product can't be ordered as requested, if it can't
+   */
+  getStockIssue(product) {
+    const { isOutOfStock } = this.getStockState(product);
+    if (isOutOfStock) return this.t('systemBuilderSummaryNoLongerAvailable');
+
+    // Quantities are only meaningful for tracked variants that can't be oversold
+    const isLimited = product.inventoryManagement && product.inventoryPolicy === 'deny'
+      && typeof product.inventoryQuantity === 'number';
+
+    if (isLimited && this.getRequestedQuantity(product.id) > product.inventoryQuantity) {
+      return this.t('systemBuilderSummaryOnlyLeft', { count: product.inventoryQuantity });
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the selections that can no longer be purchased, using live inventory
+   */
+  async findUnavailableSelections(selections) {
+    await this.refreshInventory();
+
+    return selections.filter(([, product]) => this.getStockState(product).isOutOfStock);
+  }
+
+  /**
+   * Work out which selections made the cart reject the add
+   */
+  async findFailedSelections(selections, errorMessage) {
+    const message = errorMessage.toLowerCase();
+    const mentioned = selections.filter(([, product]) => {
+      return product.productTitle && message.includes(product.productTitle.toLowerCase());
+    });
+
+    return mentioned.length > 0 ? mentioned : this.findUnavailableSelections(selections);
+  }
+
+  /**
+   * Report an add to cart failure in the summary, listing the products that caused it
+   */
+  showAddToCartError(message, failedSelections = []) {
+    const errorEl = this.querySelector('[data-summary-error]');
+    if (!errorEl) return;
+
+    const titles = [...new Set(failedSelections.map(([, product]) => this.getProductDisplayTitle(product)))];
+
+    // The message can hold the description returned by cart/add.js, so nothing goes through innerHTML
+    const messageEl = document.createElement('p');
+    messageEl.className = 'system-builder__summary-error-message';
+    messageEl.textContent = message;
+    errorEl.replaceChildren(messageEl);
+
+    if (titles.length > 0) {
+      const listEl = document.createElement('ul');
+      listEl.className = 'system-builder__summary-error-list';
+      titles.forEach(title => {
+        const itemEl = document.createElement('li');
+        itemEl.textContent = title;
+        listEl.appendChild(itemEl);
+      });
+      errorEl.appendChild(listEl);
+    }
+
+    errorEl.hidden = false;
+
+    failedSelections.forEach(([selectionKey]) => {
+      this.querySelector(`[data-summary-item="${selectionKey}"]`)?.classList.add('system-builder__summary-item--error');
+    });
+  }
+
+  /**
+   * Hide the add to cart error once it no longer reflects the selection
+   */
+  hideAddToCartError() {
+    const errorEl = this.querySelector('[data-summary-error]');
+    if (!errorEl) return;
+
+    errorEl.hidden = true;
+    errorEl.replaceChildren();
+  }
+
+  /**
+   * Handle add to cart
+   *
+   * Availability is verified before adding, and a failed add is rolled back so the cart
+   * never ends up holding part of a system.
+   */
+  async handleAddToCart(button) {
+    const root = window.Shopify?.routes?.root || '/';
+    const selections = this.getOrderedSelections().filter(([, product]) => product?.id);
+
+    if (selections.length === 0) {
+      const originalText = button.dataset.originalText || button.textContent;
+      button.textContent = this.t('systemBuilderCartSelectProductsFirst');
+      setTimeout(() => {
+        button.textContent = originalText;
+      }, 2000);
+      this.trackAddToCartFailure('empty');
+      return;
+    }
+
+    const conflicting = this.getConflictingSelections();
+    if (conflicting.length > 0) {
+      this.showAddToCartError(this.t('systemBuilderCartConflictError'), conflicting);
+      this.trackAddToCartFailure('incompatible', conflicting);
+      return;
+    }
+
+    const buildId = this.generateBuildId();
+    const buildLink = this.getBuildLink(buildId);
+    const bundle = this.getBundleDiscount();
+
+    // Lines with different properties are kept apart, so identical variants chosen
+    // for different optics end up as separate cart lines
+    const items = selections.map(([, product]) => ({
+      id: product.id,
+      quantity: product.quantity || 1,
+      properties: this.getLineItemProperties(product, buildId, buildLink, bundle)
+    }));
+
+    button.disabled = true;
+    button.textContent = this.t('systemBuilderCartCheckingAvailability');
+    this.hideAddToCartError();
+    this.isAddingToCart = true;
+
+    let addAttempted = false;
+    let added = false;
+
+    try {
+      const unavailable = await this.findUnavailableSelections(selections);
+      if (unavailable.length > 0) {
+        this.showAddToCartError(this.t('systemBuilderCartUnavailableError'), unavailable);
+        this.trackAddToCartFailure('unavailable', unavailable);
+        return;
+      }
+
+      button.textContent = this.t('systemBuilderCartAdding');
+
+      // Gather bundled sections (matches theme's ProductForm pattern)
+      const sectionsToBundle = ['variant-added'];
+      document.documentElement.dispatchEvent(
+        new CustomEvent('cart:prepare-bundled-sections', {
+          bubbles: true,
+          detail: { sections: sectionsToBundle }
+        })
+      );
+
+      // Use the first item's variant ID for the section rendering context
+      const firstVariantId = items[0].id;
+      const sectionsUrl = `${root}variants/${firstVariantId}`;
+
+      addAttempted = true;
+      const response = await fetch(`${root}cart/add.js`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          items,
+          sections: sectionsToBundle.join(','),
+          sections_url: sectionsUrl
+        })
+      });
+
+      const responseData = await response.json();
+
+      if (!response.ok) {
+        // Some lines may have been added before the cart rejected the others
+        await this.removeBuildFromCart(buildId);
+
+        const errorMessage = responseData.description || responseData.message || '';
+        const failed = await this.findFailedSelections(selections, errorMessage);
+
+        if (failed.length > 0) {
+          this.showAddToCartError(this.t('systemBuilderCartFailedItemsError'), failed);
+        } else {
+          this.showAddToCartError(`${this.t('systemBuilderCartFailedError')} ${errorMessage}`.trim());
+        }
+        this.trackAddToCartFailure('rejected', failed, errorMessage);
+        return;
+      }
+
+      // Tag the cart so the resulting order is identifiable as a System Builder order,
+      // and apply the bundle discount shown in the summary
+      const cartUpdate = { attributes: { 'System Builder': 'true' } };
+      if (bundle) {
+        cartUpdate.attributes['System Builder Bundle'] = bundle.rule.title;
+
+        if (bundle.rule.discountCode) {
+          cartUpdate.discount = await this.getDiscountCodesWith(bundle.rule.discountCode);
+        }
+      }
+
+      const attributesResponse = await fetch(`${root}cart/update.js`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(cartUpdate)
+      });
+
+      if (!attributesResponse.ok) {
+        throw new Error('Failed to tag the cart');
+      }
+
+      // The build is in the cart from now on, nothing below rolls it back
+      added = true;
+
+      // The edited system replaces the one it was opened from
+      if (this.editingBuildId) {
+        try {
+          await this.removeBuildFromCart(this.editingBuildId);
+        } catch (error) {
+          console.error('System Builder: Error replacing edited system', error);
+        }
+
+        this.clearEditingBuild();
+      }
+
+      const subtotal = selections.reduce((total, [, product]) => total + (product.price || 0) * (product.quantity || 1), 0);
+      this.trackEvent('added-to-cart', {
+        buildId,
+        products: selections.map(([, product]) => this.getAnalyticsProduct(product)),
+        itemCount: items.reduce((total, item) => total + item.quantity, 0),
+        total: (subtotal - (bundle ? bundle.savings : 0)) / 100,
+        bundle: bundle ? bundle.rule.title : null
+      });
+
+      let cart = null;
+      try {
+        const cartResponse = await fetch(`${root}cart.js`, {
+          headers: { 'Accept': 'application/json' }
+        });
+        if (!cartResponse.ok) throw new Error(`Unexpected status ${cartResponse.status}`);
+        cart = await cartResponse.json();
+      } catch (error) {
+        // The cart components refresh themselves from the server instead
+        console.error('System Builder: Error refreshing the cart', error);
+      }
+
+      if (cart) {
+        // Attach rendered section HTML so the cart notification drawer can display it
+        cart.sections = responseData.sections;
+        this.updateCartCount(cart.item_count);
+
+        // Dispatch variant:add to open the cart notification drawer
+        document.dispatchEvent(
+          new CustomEvent('variant:add', {
+            bubbles: true,
+            detail: {
+              items: responseData.hasOwnProperty('items') ? responseData.items : [responseData],
+              cart: cart
+            }
+          })
+        );
+
+        document.documentElement.dispatchEvent(
+          new CustomEvent('cart:change', { bubbles: true, detail: { baseEvent: 'variant:add', cart } })
+        );
+      }
+
+      document.dispatchEvent(
+        new CustomEvent('cart:refresh', { bubbles: true, detail: cart ? { cart } : {} })
+      );
+
+      // Clear all selections after successful add
+      this.clearAllSelections();
+
+    } catch (error) {
+      console.error('System Builder: Error adding to cart', error);
+
+      let rolledBack = !addAttempted || added;
+      if (!rolledBack) {
+        try {
+          await this.removeBuildFromCart(buildId);
+          rolledBack = true;
+        } catch (rollbackError) {
+          console.error('System Builder: Error rolling back cart', rollbackError);
+        }
+      }
+
+      this.showAddToCartError(rolledBack
+        ? this.t('systemBuilderCartError')
+        : this.t('systemBuilderCartPartialError'));
+      this.trackAddToCartFailure('error', [], error.message, { rolledBack });
+    } finally {
+      this.isAddingToCart = false;
+      this.updateAddToCartButton();
+    }
+  }
+
+  /**
+   * Track a failed add to cart. The reason is one of "empty", "incompatible", "unavailable",
+   * "rejected" (refused by the cart) or "error"
+   */
+  trackAddToCartFailure(reason, failedSelections = [], message = '', extra = {}) {
+    this.trackEvent('add-to-cart-failed', {
+      reason,
+      message,
+      products: failedSelections.map(([, product]) => this.getAnalyticsProduct(product)),
+      ...extra
+    });
+  }
+
+  /**
+   * Get the discount codes of the cart with the given code added, as expected by cart/update.js
+   * (which replaces the codes already applied)
+   */
+  async getDiscountCodesWith(code) {
+    const root = window.Shopify?.routes?.root || '/';
+    const response = await fetch(`${root}cart.js`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    const cart = response.ok ? await response.json() : {};
+
+    const codes = (cart.discount_codes || []).map(discount => discount.code);
+    const hasCode = codes.some(existing => existing.toLowerCase() === code.toLowerCase());
+
+    return (hasCode ? codes : [...codes, code]).join(',');
+  }
+
+  /**
+   * Update cart count in header
+   */
+  updateCartCount(count) {
+    const selectors = [
+      '.cart-count', '.cart-count-bubble', '[data-cart-count]', '.cart__count',
+      '.header__cart-count', '#cart-icon-bubble', '.cart-icon__count',
+      '.js-cart-count', '[data-cart-item-count]', '.site-header__cart-count'
+    ];
+
+    selectors.forEach(selector => {
+      document.querySelectorAll(selector).forEach(el => {
+        if (el.tagName !== 'SPAN' || !el.querySelector('span')) {
+          el.textContent = count;
+        }
+        if (count > 0) {
+          el.removeAttribute('hidden');
+          el.style.display = '';
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the stock state of a variant
+   */
+  getStockState(variantData) {
+    const isAvailable = variantData.available !== false;
+    const isBackorder = variantData.inventoryPolicy === 'continue' && variantData.inventoryQuantity <= 0;
+
+    return { isAvailable, isBackorder, isOutOfStock: !isAvailable && !isBackorder };
+  }
+
+  /**
+   * Check whether any selected product can no longer be purchased
+   */
+  hasUnavailableSelections() {
+    return Object.values(this.selectedProducts).some(product => product && this.getStockState(product).isOutOfStock);
+  }
+
+  /**
+   * Check whether a variant is one of the products a rule applies to, or one of its targets
+   */
+  isListedByRule(rule, variantData, side = 'products') {
+    const products = (side === 'targets' ? rule.targetProducts : rule.products) || [];
+    const variants = (side === 'targets' ? rule.targetVariants : rule.variants) || [];
+
+    return products.includes(variantData.productHandle)
+      || variants.some(id => String(id) === String(variantData.id));
+  }
+
+  /**
+   * Evaluate the compatibility rules against the selected products.
+   * Returns the pairs that exclude each other (conflicts), the products missing a required
+   * product (missing) and the products with recommendations left to add (recommended).
+   */
+  getCompatibilityIssues() {
+    const issues = { conflicts: [], missing: [], recommended: [] };
+    const selections = Object.values(this.selectedProducts).filter(Boolean);
+
+    this.data.compatibilityRules.forEach(rule => {
+      selections.filter(product => this.isListedByRule(rule, product)).forEach(source => {
+        const targets = selections.filter(product => product !== source && this.isListedByRule(rule, product, 'targets'));
+
+        if (rule.type === 'excludes') {
+          targets.forEach(target => issues.conflicts.push({ rule, source, target }));
+        } else if (rule.type === 'requires' && targets.length === 0) {
+          issues.missing.push({ rule, source });
+        } else if (rule.type === 'recommends' && targets.length === 0) {
+          issues.recommended.push({ rule, source });
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Find the selected product excluding a variant (either way round)
+   * Returns { rule, product } or null
+   */
+  findExclusion(variantData) {
+    const selections = Object.values(this.selectedProducts)
+      .filter(product => product && String(product.id) !== String(variantData.id));
+
+    for (const rule of this.data.compatibilityRules) {
+      if (rule.type !== 'excludes') continue;
+
+      const product = selections.find(selected =>
+        (this.isListedByRule(rule, selected) && this.isListedByRule(rule, variantData, 'targets'))
+        || (this.isListedByRule(rule, variantData) && this.isListedByRule(rule, selected, 'targets'))
+      );
+      if (product) return { rule, product };
+    }
+
+    return null;
+  }
+
+  /**
+   * Explain why a product can't be combined with another one
+   */
+  getExclusionMessage(rule, otherProduct) {
+    return rule.message || this.t('systemBuilderCompatibilityNotCompatible', { title: this.getProductDisplayTitle(otherProduct) });
+  }
+
+  /**
+   * Get the selections involved in a conflict as [selectionKey, product] pairs
+   */
+  getConflictingSelections() {
+    const conflicting = new Set();
+    this.compatibilityIssues.conflicts.forEach(({ source, target }) => {
+      conflicting.add(source);
+      conflicting.add(target);
+    });
+
+    return this.getOrderedSelections().filter(([, product]) => conflicting.has(product));
+  }
+
+  /**
+   * Disable the product cards that can't be combined with the current selection
+   */
+  updateCardCompatibility() {
+    this.querySelectorAll('[data-product-card]').forEach(card => {
+      const productData = this.getCardProductData(card);
+      const isSelected = card.classList.contains('system-builder__product-card--selected');
+      const exclusion = productData && !isSelected ? this.findExclusion(productData) : null;
+
+      card.classList.toggle('system-builder__product-card--incompatible', Boolean(exclusion));
+      card.dataset.incompatible = String(Boolean(exclusion));
+      card.setAttribute('aria-disabled', String(Boolean(exclusion)));
+
+      let reasonEl = card.querySelector('[data-incompatible-reason]');
+      if (!exclusion) {
+        reasonEl?.remove();
+        return;
+      }
+
+      if (!reasonEl) {
+        reasonEl = document.createElement('p');
+        reasonEl.className = 'system-builder__incompatible-reason';
+        reasonEl.dataset.incompatibleReason = '';
+        card.querySelector('.system-builder__product-info')?.appendChild(reasonEl);
+      }
+      reasonEl.textContent = this.getExclusionMessage(exclusion.rule, exclusion.product);
+    });
+  }
+
+  /**
+   * List the required and recommended products missing from the build above the summary total
+   */
+  renderCompatibilityNotices() {
+    const noticesEl = this.querySelector('[data-compatibility-notices]');
+    if (!noticesEl) return;
+
+    const notices = [
+      ...this.compatibilityIssues.missing.map(({ rule, source }) => ({
+        modifier: 'required',
+        message: rule.message || this.t('systemBuilderCompatibilityRequires', {
+          title: this.getProductDisplayTitle(source),
+          targets: this.formatRuleTargets(rule)
+        })
+      })),
+      ...this.compatibilityIssues.recommended.map(({ rule, source }) => ({
+        modifier: 'recommended',
+        message: rule.message || this.t('systemBuilderCompatibilityRecommended', {
+          title: this.getProductDisplayTitle(source),
+          targets: this.formatRuleTargets(rule)
+        })
+      }))
+    ];
+
+    // The same product selected for several optics raises the same notice once
+    const uniqueNotices = notices.filter((notice, index) =>
+      notices.findIndex(other => other.message === notice.message) === index
+    );
+
+    noticesEl.replaceChildren(...uniqueNotices.map(({ modifier, message }) => {
+      const noticeEl = document.createElement('p');
+      noticeEl.className = `system-builder__compatibility-notice system-builder__compatibility-notice--${modifier}`;
+      noticeEl.textContent = message;
+      return noticeEl;
+    }));
+    noticesEl.hidden = uniqueNotices.length === 0;
+  }
+
+  /**
+   * Name the target products of a rule (e.g. "Adapter v2 or Adapter v3")
+   */
+  formatRuleTargets(rule) {
+    const titles = rule.targetTitles || [];
+    if (titles.length === 0) return this.t('systemBuilderCompatibilityAnotherProduct');
+
+    return new Intl.ListFormat(this.locale, { type: 'disjunction' }).format(titles);
+  }
+
+  /**
+   * Find the bundle rule saving the most on the current selection.
+   * Returns { rule, savings } (savings in cents), or null when no rule applies
+   */
+  getBundleDiscount() {
+    const products = Object.values(this.selectedProducts).filter(product => product?.price);
+    if (products.length === 0) return null;
+
+    const total = products.reduce((sum, product) => sum + product.price * (product.quantity || 1), 0);
+    const itemCount = products.reduce((sum, product) => sum + (product.quantity || 1), 0);
+    const selectedTypes = new Set(products.map(product => product.productType));
+
+    return this.data.bundleRules
+      .filter(rule => itemCount >= (parseInt(rule.minItems, 10) || 0)
+        && (rule.requiredTypes || []).every(type => selectedTypes.has(type)))
+      .map(rule => ({ rule, savings: Math.round(total * rule.percentage / 100) }))
+      .filter(bundle => bundle.savings > 0)
+      .reduce((best, bundle) => (!best || bundle.savings > best.savings ? bundle : best), null);
+  }
+
+  /**
+   * Create the "In Production" badge of a backordered variant
+   */
+  getBackorderBadgeHtml(variantData) {
+    const { isBackorder } = this.getStockState(variantData);
+    if (!isBackorder || !variantData.backorderDate) return '';
+
+    const badgeDateStr = this.formatBackorderDate(variantData.backorderDate);
+
+    return `<div class="system-builder__backorder-badge">${this.t('systemBuilderProductInProduction')}`
+      + (badgeDateStr ? '<span class="system-builder__backorder-badge-date">' + badgeDateStr + '</span>' : '')
+      + '</div>';
+  }
+
+  /**
+   * Emit an event of the builder funnel, as a bubbling "system-builder:<name>" DOM event and,
+   * once the visitor has allowed analytics, as a "system_builder_<name>" Shopify customer event.
+   * Nothing is emitted while a state is being restored
+   */
+  trackEvent(name, detail = {}) {
+    if (this.isRestoring) return;
+
+    const eventDetail = { ...detail, currency: this.currency };
+    this.dispatchEvent(new CustomEvent(`system-builder:${name}`, { bubbles: true, detail: eventDetail }));
+
+    if (!this.isAnalyticsAllowed()) return;
+
+    try {
+      window.Shopify.analytics.publish(`system_builder_${name.replace(/-/g, '_')}`, eventDetail);
+    } catch (error) {
+      console.warn('System Builder: Unable to publish analytics event', error);
+    }
+  }
+
+  /**
+   * Whether the visitor's consent (collected by the privacy banner) allows analytics
+   */
+  isAnalyticsAllowed() {
+    const customerPrivacy = window.Shopify?.customerPrivacy;
+
+    return typeof window.Shopify?.analytics?.publish === 'function'
+      && typeof customerPrivacy?.analyticsProcessingAllowed === 'function'
+      && customerPrivacy.analyticsProcessingAllowed();
+  }
+
+  /**
+   * Load Shopify's consent API when the privacy banner did not, so consent can be checked
+   */
+  loadConsentApi() {
+    if (window.Shopify?.customerPrivacy || typeof window.Shopify?.loadFeatures !== 'function') return;
+
+    window.Shopify.loadFeatures([{
+      name: 'consent-tracking-api',
+      version: '0.1',
+      onLoad: (error) => {
+        if (error) console.warn('System Builder: Unable to load the consent API', error);
+      }
+    }]);
+  }
+
+  /**
+   * Describe a selected product in analytics events (prices in the active currency, not in cents)
+   */
+  getAnalyticsProduct(product) {
+    return {
+      variantId: product.id,
+      productTitle: product.productTitle || product.title,
+      variantTitle: product.productTitle ? product.title : null,
+      productType: product.productType,
+      price: typeof product.price === 'number' ? product.price / 100 : null,
+      quantity: product.quantity || 1
+    };
+  }
+
+  /**
+   * Get a translated string from the theme's locale strings, replacing {{ placeholders }}.
+   * Plural strings are picked from the "count" variable (see theme-helpers.js)
+   */
+  t(key, variables = {}) {
+    return window.themeHelpers.t(key, variables);
+  }
+
+  /**
+   * Format a backorder date (YYYY-MM-DD) as month and year in the customer's locale.
+   * Returns an empty string when the date is missing or invalid
+   */
+  formatBackorderDate(value) {
+    if (!value) return '';
+
+    // Parse YYYY-MM-DD in local time to avoid UTC offset issues
+    const parts = String(value).split('-').map(Number);
+    const date = parts.length === 3 ? new Date(parts[0], parts[1] - 1, parts[2]) : null;
+
+    return date && !isNaN(date) ? date.toLocaleDateString(this.locale, { year: 'numeric', month: 'long' }) : '';
+  }
+
+  /**
+   * Format an amount in cents with the shop's money format, in the active currency
+   */
+  formatMoney(cents) {
+    if (typeof cents !== 'number') return '';
+
+    // Without the shop's money format, fall back to the currency's own formatting
+    if (!this.moneyFormat || !/\{\{\s*\w+\s*\}\}/.test(this.moneyFormat)) {
+      return this.currencyFormatter.format(cents / 100);
+    }
+
+    // Same separators as Liquid's money filters, so prices match the rest of the page (e.g. {{amount}} is 1,134.65)
+    const formatAmount = (decimals, thousands, decimal) => {
+      const [integer, fraction] = (cents / 100).toFixed(decimals).split('.');
+      const groupedInteger = integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+      return fraction ? `${groupedInteger}${decimal}${fraction}` : groupedInteger;
+    };
+
+    const decimals = this.currencyDecimals;
+    const placeholders = {
+      amount: () => formatAmount(decimals, ',', '.'),
+      amount_no_decimals: () => formatAmount(0, ',', '.'),
+      amount_with_comma_separator: () => formatAmount(decimals, '.', ','),
+      amount_no_decimals_with_comma_separator: () => formatAmount(0, '.', ','),
+      amount_with_space_separator: () => formatAmount(decimals, ' ', ','),
+      amount_no_decimals_with_space_separator: () => formatAmount(0, ' ', ','),
+      amount_with_apostrophe_separator: () => formatAmount(decimals, '\'', '.'),
+      amount_with_period_and_space_separator: () => formatAmount(decimals, ' ', '.')
+    };
+
+    return this.moneyFormat.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, type) => (
+      placeholders[type] ? placeholders[type]() : placeholders.amount()
+    ));
   }
 
   /**
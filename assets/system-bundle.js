@@ -0,0 +1,96 @@
+/**
+ * System Bundle Web Component
+ * Groups the cart lines of a System Builder build and removes them all at once.
+ */
+class SystemBundle extends HTMLElement {
+  connectedCallback() {
+    this.buildId = this.dataset.buildId;
+    this.toggleButton = this.querySelector('[data-system-bundle-toggle]');
+    this.removeButton = this.querySelector('[data-system-bundle-remove]');
+    this.errorEl = this.querySelector('[data-system-bundle-error]');
+
+    this.toggleButton.addEventListener('click', () => this._toggle());
+    this.removeButton.addEventListener('click', () => this._removeSystem());
+  }
+
+  get lineKeys() {
+    return this.dataset.lineKeys ? this.dataset.lineKeys.split(',').filter(Boolean) : [];
+  }
+
+  _getLineElements() {
+    // In the cart drawer the lines are nested, on the cart page they are sibling table rows
+    const linesEl = this.querySelector('[data-system-bundle-lines]');
+    if (linesEl) return [linesEl];
+
+    return [...document.querySelectorAll(`[data-system-bundle-line="${CSS.escape(this.buildId)}"]`)];
+  }
+
+  _toggle() {
+    const isExpanded = this.toggleButton.getAttribute('aria-expanded') === 'true';
+
+    this.toggleButton.setAttribute('aria-expanded', String(!isExpanded));
+    this.classList.toggle('system-bundle--collapsed', isExpanded);
+    this._getLineElements().forEach((el) => {
+      el.hidden = isExpanded;
+    });
+  }
+
+  async _removeSystem() {
+    const lineKeys = this.lineKeys;
+    if (lineKeys.length === 0) return;
+
+    this.removeButton.disabled = true;
+    this.errorEl.hidden = true;
+    this.classList.add('system-bundle--removing');
+
+    // Gather bundled sections (matches theme's LineItemQuantity pattern)
+    const sectionsToBundle = [];
+    document.documentElement.dispatchEvent(
+      new CustomEvent('cart:prepare-bundled-sections', { bubbles: true, detail: { sections: sectionsToBundle } })
+    );
+
+    try {
+      // A single update call so the whole system leaves the cart together
+      const response = await fetch(`${Shopify.routes.root}cart/update.js`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          updates: Object.fromEntries(lineKeys.map((key) => [key, 0])),
+          sections: sectionsToBundle
+        })
+      });
+      let cart = await response.json();
+
+      if (!response.ok) {
+        throw new Error(cart.description || cart.message || window.themeVariables.strings.systemBundleRemoveError);
+      }
+
+      // The system is gone, so is its claim on the bundle attributes and discount code
+      try {
+        cart = await window.systemCart.syncBundles(cart, this.dataset.bundleCode ? [this.dataset.bundleCode] : []);
+      } catch (error) {
+        console.error('System Bundle: Error updating the bundle of the cart', error);
+      }
+
+      if (window.themeVariables.settings.pageType === 'cart') {
+        window.location.reload();
+        return;
+      }
+
+      document.documentElement.dispatchEvent(
+        new CustomEvent('cart:change', { bubbles: true, detail: { baseEvent: 'line-item:change', cart } })
+      );
+    } catch (error) {
+      console.error('System Bundle: Error removing system', error);
+
+      this.errorEl.textContent = error.message;
+      this.errorEl.hidden = false;
+      this.removeButton.disabled = false;
+      this.classList.remove('system-bundle--removing');
+    }
+  }
+}
+
+if (!window.customElements.get('system-bundle')) {
+  window.customElements.define('system-bundle', SystemBundle);
+}
@@ -0,0 +1,61 @@
+/**
+ * System Cart
+ * Keeps the System Builder cart attributes and bundle discount codes in step with the builds left in the cart,
+ * whenever the lines of a build are removed (see system-builder.js and system-bundle.js).
+ *
+ * Each line of a build carries its "_Build ID" and, when the build got a bundle discount, the bundle title
+ * ("_Bundle") and the discount code applied for it ("_Bundle Code").
+ *
+ * - window.systemCart.syncBundles(cart, removedCodes): recompute the "System Builder" and "System Builder Bundle"
+ *   attributes from the builds left in the cart, and drop the "_Bundle Code" of the removed lines that no build
+ *   left uses. Resolves with the updated cart (the given one when nothing changed)
+ */
+// Several sections may load this file, the first copy wins
+if (!window.systemCart) {
+  class SystemCart {
+    static BUILD_ID_PROPERTY = '_Build ID';
+    static BUNDLE_PROPERTY = '_Bundle';
+    static BUNDLE_CODE_PROPERTY = '_Bundle Code';
+
+    async syncBundles(cart, removedCodes = []) {
+      const buildItems = cart.items.filter((item) => item.properties?.[SystemCart.BUILD_ID_PROPERTY]);
+      const bundleTitle = buildItems.map((item) => item.properties[SystemCart.BUNDLE_PROPERTY]).find(Boolean) || '';
+      const keptCodes = this._normalizeCodes(buildItems.map((item) => item.properties[SystemCart.BUNDLE_CODE_PROPERTY]));
+      const droppedCodes = this._normalizeCodes(removedCodes).filter((code) => !keptCodes.includes(code));
+
+      const attributes = {
+        'System Builder': buildItems.length > 0 ? 'true' : '',
+        'System Builder Bundle': bundleTitle
+      };
+      const codes = (cart.discount_codes || []).map((discount) => discount.code);
+      const remainingCodes = codes.filter((code) => !droppedCodes.includes(code.toLowerCase()));
+
+      const hasSameAttributes = Object.entries(attributes).every(([name, value]) => (cart.attributes?.[name] || '') === value);
+      if (hasSameAttributes && remainingCodes.length === codes.length) return cart;
+
+      const update = { attributes };
+      if (remainingCodes.length !== codes.length) {
+        update.discount = remainingCodes.join(',');
+      }
+
+      const response = await fetch(`${window.Shopify?.routes?.root || '/'}cart/update.js`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(update)
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to update the System Builder bundle of the cart');
+      }
+
+      return response.json();
+    }
+
+    // Discount codes are case insensitive
+    _normalizeCodes(codes) {
+      return codes.filter(Boolean).map((code) => code.toLowerCase());
+    }
+  }
+
+  window.systemCart = new SystemCart();
+}
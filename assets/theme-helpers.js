@@ -0,0 +1,43 @@
+/**
+ * Theme Helpers
+ * Shared by the custom components of the theme, loaded on every page by the theme layout.
+ *
+ * - window.themeHelpers.t(key, variables): string of window.themeVariables.strings (see js-variables.liquid) with its
+ *   {{ placeholders }} replaced. Plural strings ({ zero, one, other }) are picked from variables.count
+ * - window.themeHelpers.onVariantChange(variantIds, callback): call back with the variant of every "variant:change"
+ *   event whose variant is one of variantIds (the variants of a product). Returns a function removing the listener
+ */
+class ThemeHelpers {
+  constructor() {
+    this.locale = window.Shopify?.locale || document.documentElement.lang || 'en';
+  }
+
+  t(key, variables = {}) {
+    let string = window.themeVariables?.strings?.[key] ?? '';
+
+    if (typeof string === 'object') {
+      const count = variables.count ?? 0;
+      const form = count === 0 && string.zero !== undefined ? 'zero' : new Intl.PluralRules(this.locale).select(count);
+      string = string[form] ?? string.other ?? '';
+    }
+
+    return string.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+      variables[name] !== undefined ? variables[name] : placeholder
+    ));
+  }
+
+  onVariantChange(variantIds, callback) {
+    const ids = variantIds.map(Number);
+    const listener = (event) => {
+      const variant = event.detail?.variant;
+      if (variant && ids.includes(variant.id)) {
+        callback(variant);
+      }
+    };
+
+    document.addEventListener('variant:change', listener);
+    return () => document.removeEventListener('variant:change', listener);
+  }
+}
+
+window.themeHelpers = new ThemeHelpers();